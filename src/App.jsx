@@ -1,16 +1,25 @@
 /**
  * Top-level App component for the React application.
- * Keeps the app lightweight by rendering a single page component (LinkPage).
- * If you add routing later, this component can host <Routes> and multiple pages.
+ * Hosts the routes: the main page (LinkPage) and the landing route Plaid
+ * redirects back to after a bank's OAuth sign-in (OAuthReturnPage).
  */
 import React from "react";
+import { Route, Routes } from "react-router-dom";
 import LinkPage from "./pages/LinkPage.jsx"; // Main screen that handles Plaid link, caching, and subscriptions UI
+import OAuthReturnPage from "./pages/OAuthReturnPage.jsx"; // Resumes Plaid Link after an OAuth redirect
 
 const App = () => {
 	/**
-	 * Render the primary page. Currently no router logic here—App is a simple wrapper.
+	 * /oauth-return must match the redirect_uri the link token is created with
+	 * (and the allowed redirect URIs in the Plaid dashboard). Any other path
+	 * falls through to the main page.
 	 */
-	return <LinkPage />;
+	return (
+		<Routes>
+			<Route path="/oauth-return" element={<OAuthReturnPage />} />
+			<Route path="*" element={<LinkPage />} />
+		</Routes>
+	);
 };
 
 /**
@@ -0,0 +1,101 @@
+import * as React from "react";
+import Box from "@mui/material/Box";
+import Dialog from "@mui/material/Dialog";
+import IconButton from "@mui/material/IconButton";
+import Typography from "@mui/material/Typography";
+import CircularProgress from "@mui/material/CircularProgress";
+import CloseRoundedIcon from "@mui/icons-material/CloseRounded";
+import PlaidButton from "./PlaidButton.jsx";
+import { createLinkToken, formatWait, readRetryAfter } from "../utils/worker-api.js";
+
+/**
+ * "Add another bank": fetches a fresh Link token from the Worker when opened,
+ * then reuses PlaidButton for the Link + exchange. `onLinked` receives the
+ * merged recurring_data envelope covering every linked bank.
+ */
+export default function AddBankDialog({ open, onClose, auth, onLinked }) {
+    const [linkToken, setLinkToken] = React.useState(null);
+    const [error, setError] = React.useState("");
+    const { uid, ts, proof, v } = auth;
+
+    React.useEffect(() => {
+        if (!open) return undefined;
+        let cancelled = false;
+        setLinkToken(null);
+        setError("");
+
+        (async () => {
+            try {
+                const res = await createLinkToken({ uid, ts, proof, v });
+                if (cancelled) return;
+                if (res.status === 401) {
+                    setError("Your session has expired. Please reopen this page from the app.");
+                    return;
+                }
+                if (res.status === 501) {
+                    setError("Adding another bank isn't available yet.");
+                    return;
+                }
+                if (res.status === 429) {
+                    const secs = await readRetryAfter(res);
+                    if (!cancelled) setError(`Too many requests right now. Please try again in ${formatWait(secs)}.`);
+                    return;
+                }
+                if (!res.ok) throw new Error(`HTTP error! Status: ${res.status}`);
+                const data = await res.json();
+                const token = data?.response_object?.data?.link_token;
+                if (!token) throw new Error("No link_token in response");
+                if (!cancelled) setLinkToken(token);
+            } catch (err) {
+                console.error("Error creating link token:", err);
+                if (!cancelled) setError("Couldn't start connecting a bank. Please try again later.");
+            }
+        })();
+
+        return () => {
+            cancelled = true;
+        };
+    }, [open, uid, ts, proof, v]);
+
+    return (
+        <Dialog
+            open={open}
+            onClose={onClose}
+            fullWidth
+            maxWidth="sm"
+            // Plaid Link mounts its own iframe outside the dialog; MUI's focus
+            // trap would otherwise keep pulling focus back from it.
+            disableEnforceFocus
+            PaperProps={{ sx: { bgcolor: "#f8fafc", borderRadius: 3 } }}
+        >
+            <Box sx={{ display: "flex", justifyContent: "flex-end", px: 1, pt: 1 }}>
+                <IconButton onClick={onClose} aria-label="Close" size="small">
+                    <CloseRoundedIcon />
+                </IconButton>
+            </Box>
+            <Box sx={{ pb: 3 }}>
+                {error ? (
+                    <Typography sx={{ color: "#b91c1c", fontWeight: 600, fontSize: 14, textAlign: "center", px: 3, py: 4 }}>
+                        {error}
+                    </Typography>
+                ) : linkToken ? (
+                    <PlaidButton
+                        adding
+                        linkToken={linkToken}
+                        uid={uid}
+                        ts={ts}
+                        proof={proof}
+                        v={v}
+                        // PlaidButton reports failures as onData([]) and shows its own
+                        // message — keep the dialog (and the current list) as they are.
+                        onData={(_, responseObject) => responseObject && onLinked?.(responseObject)}
+                    />
+                ) : (
+                    <Box sx={{ display: "grid", placeItems: "center", py: 6 }}>
+                        <CircularProgress size={32} />
+                    </Box>
+                )}
+            </Box>
+        </Dialog>
+    );
+}
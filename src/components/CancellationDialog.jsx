@@ -0,0 +1,260 @@
+import * as React from "react";
+import Box from "@mui/material/Box";
+import Button from "@mui/material/Button";
+import Dialog from "@mui/material/Dialog";
+import IconButton from "@mui/material/IconButton";
+import Typography from "@mui/material/Typography";
+import CloseRoundedIcon from "@mui/icons-material/CloseRounded";
+import OpenInNewRoundedIcon from "@mui/icons-material/OpenInNewRounded";
+import PhoneRoundedIcon from "@mui/icons-material/PhoneRounded";
+import ContentCopyRoundedIcon from "@mui/icons-material/ContentCopyRounded";
+import EmailRoundedIcon from "@mui/icons-material/EmailRounded";
+import InfoOutlinedIcon from "@mui/icons-material/InfoOutlined";
+import MerchantAvatar from "./MerchantAvatar.jsx";
+import { cancellationLetter, cancellationMailto, findCancellationEntry } from "../utils/cancellation.js";
+import { websiteHost } from "../utils/recurring-data-formatter.js";
+import { toUSD } from "../utils/format.js";
+
+/* --------------------------------------------------------------------------
+ * Helpers
+ * ------------------------------------------------------------------------*/
+
+// Risk levels where the charge may not be a real subscription at all.
+const DISPUTE_RISKS = ["likely_fraud", "likely_scam"];
+
+const actionSx = { textTransform: "none", fontWeight: 700, borderRadius: "10px" };
+
+function SectionTitle({ children }) {
+    return (
+        <Typography
+            sx={{
+                fontSize: 11,
+                fontWeight: 800,
+                color: "#94a3b8",
+                textTransform: "uppercase",
+                letterSpacing: "0.08em",
+                mb: 0.75,
+            }}
+        >
+            {children}
+        </Typography>
+    );
+}
+
+/* --------------------------------------------------------------------------
+ * Template letter
+ * ------------------------------------------------------------------------*/
+
+function LetterTemplate({ item }) {
+    const letter = React.useMemo(() => cancellationLetter(item), [item]);
+    const [copied, setCopied] = React.useState(false);
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(`${letter.subject}\n\n${letter.body}`);
+            setCopied(true);
+        } catch (err) {
+            // Clipboard access can be blocked inside the Glide webview; the text
+            // stays selectable below.
+            console.error("Error copying letter:", err);
+        }
+    };
+
+    return (
+        <Box>
+            <Box
+                component="pre"
+                sx={{
+                    m: 0,
+                    px: 1.75,
+                    py: 1.5,
+                    maxHeight: 220,
+                    overflowY: "auto",
+                    bgcolor: "#fff",
+                    border: "1px solid #e2e8f0",
+                    borderRadius: 2,
+                    fontFamily: "inherit",
+                    fontSize: 12.5,
+                    lineHeight: 1.6,
+                    color: "#334155",
+                    whiteSpace: "pre-wrap",
+                    userSelect: "text",
+                }}
+            >
+                <Box component="span" sx={{ fontWeight: 700 }}>Subject: {letter.subject}</Box>
+                {"\n\n"}
+                {letter.body}
+            </Box>
+            <Box sx={{ display: "flex", gap: 1, flexWrap: "wrap", mt: 1 }}>
+                <Button
+                    size="small"
+                    variant="outlined"
+                    onClick={handleCopy}
+                    startIcon={<ContentCopyRoundedIcon />}
+                    sx={actionSx}
+                >
+                    {copied ? "Copied" : "Copy letter"}
+                </Button>
+                <Button
+                    size="small"
+                    variant="outlined"
+                    href={cancellationMailto(letter)}
+                    startIcon={<EmailRoundedIcon />}
+                    sx={actionSx}
+                >
+                    Open in email
+                </Button>
+            </Box>
+        </Box>
+    );
+}
+
+/* --------------------------------------------------------------------------
+ * Dialog
+ * ------------------------------------------------------------------------*/
+
+/**
+ * Where and how to cancel one subscription: the directory entry's page,
+ * phone number and steps when we know the merchant, otherwise a template
+ * letter to send them (also offered, folded away, for known merchants).
+ */
+export default function CancellationDialog({ item, open, onClose }) {
+    const entry = React.useMemo(() => findCancellationEntry(item), [item]);
+    const [showLetter, setShowLetter] = React.useState(false);
+    React.useEffect(() => setShowLetter(false), [item]);
+
+    const host = websiteHost(item?.website);
+    const risky = DISPUTE_RISKS.includes(String(item?.risk ?? "").toLowerCase());
+
+    return (
+        <Dialog
+            open={open}
+            onClose={onClose}
+            fullWidth
+            maxWidth="sm"
+            PaperProps={{ sx: { bgcolor: "#f8fafc", borderRadius: 3 } }}
+        >
+            {item && (
+                <>
+                    <Box
+                        sx={{
+                            display: "flex",
+                            alignItems: "flex-start",
+                            gap: 1.5,
+                            px: 2.5,
+                            py: 2,
+                            bgcolor: "#fff",
+                            borderBottom: "1px solid #e2e8f0",
+                        }}
+                    >
+                        <MerchantAvatar item={item} size={40} />
+                        <Box sx={{ flex: 1, minWidth: 0 }}>
+                            <Typography sx={{ fontWeight: 800, fontSize: 17, color: "#0f172a", lineHeight: 1.3 }}>
+                                How to cancel {entry?.name ?? item.description ?? "this subscription"}
+                            </Typography>
+                            <Typography sx={{ fontSize: 13, color: "#64748b", mt: 0.25 }}>
+                                {toUSD(item.average_amount?.amount)} per charge
+                                {item.monthly_amount != null && <> · {toUSD(item.monthly_amount * 12)} a year</>}
+                            </Typography>
+                        </Box>
+                        <IconButton onClick={onClose} aria-label="Close" size="small" sx={{ mt: -0.5 }}>
+                            <CloseRoundedIcon />
+                        </IconButton>
+                    </Box>
+
+                    <Box sx={{ px: 2.5, py: 2, display: "flex", flexDirection: "column", gap: 2.5 }}>
+                        {/* A charge nobody signed up for is a bank matter, not a cancellation. */}
+                        {risky && (
+                            <Box sx={{ display: "flex", gap: 1, px: 1.75, py: 1.25, bgcolor: "#fef2f2", border: "1px solid #fca5a5", borderRadius: 2 }}>
+                                <InfoOutlinedIcon sx={{ fontSize: 18, color: "#b91c1c", flexShrink: 0, mt: 0.1 }} />
+                                <Typography sx={{ fontSize: 13, color: "#7f1d1d", lineHeight: 1.55 }}>
+                                    If you never signed up for this, don't contact the merchant — call the number on the back of
+                                    your card to dispute the charge and block future ones.
+                                </Typography>
+                            </Box>
+                        )}
+
+                        {entry ? (
+                            <>
+                                <Box>
+                                    <SectionTitle>Steps</SectionTitle>
+                                    <Box component="ol" sx={{ m: 0, pl: 2.5, display: "flex", flexDirection: "column", gap: 0.75 }}>
+                                        {entry.steps.map((step) => (
+                                            <Typography component="li" key={step} sx={{ fontSize: 13.5, color: "#334155", lineHeight: 1.55 }}>
+                                                {step}
+                                            </Typography>
+                                        ))}
+                                    </Box>
+                                    {entry.note && (
+                                        <Typography sx={{ mt: 1.25, fontSize: 12.5, color: "#92400e", bgcolor: "#fffbeb", border: "1px solid #fde68a", borderRadius: 2, px: 1.5, py: 1 }}>
+                                            {entry.note}
+                                        </Typography>
+                                    )}
+                                </Box>
+
+                                {(entry.url || entry.phone) && (
+                                    <Box sx={{ display: "flex", gap: 1, flexWrap: "wrap" }}>
+                                        {entry.url && (
+                                            <Button
+                                                variant="contained"
+                                                href={entry.url}
+                                                target="_blank"
+                                                rel="noopener noreferrer"
+                                                endIcon={<OpenInNewRoundedIcon />}
+                                                sx={{ ...actionSx, bgcolor: "#1d4ed8" }}
+                                            >
+                                                Open cancellation page
+                                            </Button>
+                                        )}
+                                        {entry.phone && (
+                                            <Button
+                                                variant="outlined"
+                                                href={`tel:${entry.phone.replace(/[^\d+]/g, "")}`}
+                                                startIcon={<PhoneRoundedIcon />}
+                                                sx={actionSx}
+                                            >
+                                                Call {entry.phone}
+                                            </Button>
+                                        )}
+                                    </Box>
+                                )}
+
+                                <Box>
+                                    {showLetter ? (
+                                        <>
+                                            <SectionTitle>Cancel in writing</SectionTitle>
+                                            <LetterTemplate item={item} />
+                                        </>
+                                    ) : (
+                                        <Button size="small" onClick={() => setShowLetter(true)} sx={{ ...actionSx, px: 0, color: "#1d4ed8" }}>
+                                            Prefer to cancel in writing? Use our template
+                                        </Button>
+                                    )}
+                                </Box>
+                            </>
+                        ) : (
+                            <Box>
+                                <Typography sx={{ fontSize: 13.5, color: "#334155", lineHeight: 1.6, mb: 1.5 }}>
+                                    We don't have cancellation steps for this merchant yet. Send them the request below —
+                                    their support address is usually on the receipt email or their website
+                                    {host && (
+                                        <>
+                                            {" "}(
+                                            <Box component="a" href={item.website} target="_blank" rel="noopener noreferrer" sx={{ color: "#1d4ed8", fontWeight: 600 }}>
+                                                {host}
+                                            </Box>
+                                            )
+                                        </>
+                                    )}
+                                    . Keep their reply as proof.
+                                </Typography>
+                                <SectionTitle>Cancellation letter</SectionTitle>
+                                <LetterTemplate item={item} />
+                            </Box>
+                        )}
+                    </Box>
+                </>
+            )}
+        </Dialog>
+    );
+}
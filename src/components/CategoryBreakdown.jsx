@@ -0,0 +1,121 @@
+import * as React from "react";
+import Box from "@mui/material/Box";
+import Typography from "@mui/material/Typography";
+import ButtonBase from "@mui/material/ButtonBase";
+import DonutSmallRoundedIcon from "@mui/icons-material/DonutSmallRounded";
+import { spendByCategory } from "../utils/categories.js";
+import { toUSD } from "../utils/format.js";
+
+/* --------------------------------------------------------------------------
+ * Category row
+ * ------------------------------------------------------------------------*/
+
+function CategoryRow({ row, selected, dimmed, onClick }) {
+    const pct = Math.round(row.share * 100);
+    return (
+        <ButtonBase
+            onClick={onClick}
+            aria-pressed={selected}
+            sx={{
+                display: "block",
+                width: "100%",
+                textAlign: "left",
+                borderRadius: 1.5,
+                px: 1,
+                py: 0.75,
+                opacity: dimmed ? 0.45 : 1,
+                bgcolor: selected ? `${row.color}14` : "transparent",
+                transition: "opacity 120ms, background-color 120ms",
+                "&:hover": { bgcolor: `${row.color}14`, opacity: 1 },
+            }}
+        >
+            <Box sx={{ display: "flex", alignItems: "baseline", gap: 1, mb: 0.5 }}>
+                <Box sx={{ width: 8, height: 8, borderRadius: "50%", bgcolor: row.color, flexShrink: 0, alignSelf: "center" }} />
+                <Typography sx={{ flex: 1, minWidth: 0, fontSize: 13, fontWeight: 700, color: "#0f172a" }} noWrap>
+                    {row.label}
+                    <Box component="span" sx={{ color: "#94a3b8", fontWeight: 600, ml: 0.75 }}>· {row.count}</Box>
+                </Typography>
+                <Typography sx={{ fontSize: 13, fontWeight: 800, color: "#0f172a", flexShrink: 0 }}>
+                    {toUSD(row.monthly)}/mo
+                </Typography>
+                <Typography sx={{ fontSize: 12, fontWeight: 600, color: "#64748b", width: 36, textAlign: "right", flexShrink: 0 }}>
+                    {pct}%
+                </Typography>
+            </Box>
+            <Box sx={{ height: 6, borderRadius: 3, bgcolor: "#f1f5f9", overflow: "hidden" }}>
+                <Box sx={{ width: `${Math.max(pct, row.monthly > 0 ? 2 : 0)}%`, height: "100%", bgcolor: row.color, borderRadius: 3 }} />
+            </Box>
+        </ButtonBase>
+    );
+}
+
+/* --------------------------------------------------------------------------
+ * Main component
+ * ------------------------------------------------------------------------*/
+
+/**
+ * Monthly spend split by Plaid primary category. Tapping a category filters
+ * the list to it (tapping it again clears), so `items` should be the list
+ * with every filter applied except the category one — otherwise the other
+ * categories would vanish as soon as one is picked.
+ */
+export default function CategoryBreakdown({ items = [], selected = [], onSelect }) {
+    const rows = React.useMemo(() => spendByCategory(items), [items]);
+    if (rows.length < 2) return null;
+
+    const total = rows.reduce((sum, r) => sum + r.monthly, 0);
+    const toggle = (category) =>
+        onSelect(selected.length === 1 && selected[0] === category ? [] : [category]);
+
+    return (
+        <Box
+            sx={{
+                bgcolor: "#fff",
+                border: "1px solid #e2e8f0",
+                borderRadius: 2,
+                px: { xs: 1.5, sm: 2 },
+                py: 1.5,
+                mb: 2,
+                boxShadow: "0 1px 3px rgba(15,23,42,0.06)",
+            }}
+        >
+            <Box sx={{ display: "flex", alignItems: "center", gap: 0.75, mb: 1, px: 1 }}>
+                <DonutSmallRoundedIcon sx={{ fontSize: 16, color: "#64748b" }} />
+                <Typography sx={{ fontSize: 12, fontWeight: 800, color: "#64748b", textTransform: "uppercase", letterSpacing: "0.06em" }}>
+                    Spend by category
+                </Typography>
+                <Typography sx={{ ml: "auto", fontSize: 12, color: "#94a3b8", fontWeight: 500 }}>
+                    {selected.length ? "Tap again to show all" : "Tap to filter"}
+                </Typography>
+            </Box>
+
+            {/* Whole-budget strip: each segment's width is its share of the monthly total. */}
+            {total > 0 && (
+                <Box sx={{ display: "flex", height: 10, borderRadius: 5, overflow: "hidden", gap: "2px", mx: 1, mb: 1 }}>
+                    {rows.filter((r) => r.monthly > 0).map((r) => (
+                        <Box
+                            key={r.category}
+                            title={r.label}
+                            sx={{
+                                flexGrow: r.monthly,
+                                flexBasis: 0,
+                                bgcolor: r.color,
+                                opacity: selected.length && !selected.includes(r.category) ? 0.35 : 1,
+                            }}
+                        />
+                    ))}
+                </Box>
+            )}
+
+            {rows.map((row) => (
+                <CategoryRow
+                    key={row.category}
+                    row={row}
+                    selected={selected.includes(row.category)}
+                    dimmed={selected.length > 0 && !selected.includes(row.category)}
+                    onClick={() => toggle(row.category)}
+                />
+            ))}
+        </Box>
+    );
+}
@@ -0,0 +1,113 @@
+import * as React from "react";
+import Box from "@mui/material/Box";
+import Button from "@mui/material/Button";
+import Dialog from "@mui/material/Dialog";
+import Typography from "@mui/material/Typography";
+import CircularProgress from "@mui/material/CircularProgress";
+import DeleteForeverRoundedIcon from "@mui/icons-material/DeleteForeverRounded";
+import { deleteAccount } from "../utils/worker-api.js";
+
+// What the user loses — spelled out before they confirm.
+const CONSEQUENCES = [
+    "Every connected bank is disconnected — we can no longer read your transactions.",
+    "Your subscription list, history and keep / cancel marks are deleted from our servers.",
+    "This can't be undone. To use the app again you'll need to connect your bank from scratch.",
+];
+
+// Keyed by the Worker's `step`. Removal runs before the purge, so a failure
+// can leave things half done — never claim nothing changed.
+const FAILURE_MESSAGES = {
+    purge: "Your bank was disconnected, but some of your data couldn't be deleted yet. Please try again.",
+    default: "We couldn't finish deleting your data. Please try again later.",
+};
+
+/**
+ * "Disconnect bank & delete data" confirmation. Nothing happens until the
+ * user confirms; `onDeleted` runs once the Worker has removed the Plaid Items
+ * and purged everything it holds for the user.
+ */
+export default function DeleteDataDialog({ open, onClose, auth, onDeleted }) {
+    const [deleting, setDeleting] = React.useState(false);
+    const [error, setError] = React.useState("");
+
+    React.useEffect(() => {
+        if (open) setError("");
+    }, [open]);
+
+    const handleConfirm = async () => {
+        setDeleting(true);
+        setError("");
+        try {
+            const res = await deleteAccount(auth);
+            if (res.status === 401) {
+                setError("Your session has expired. Please reopen this page from the app and try again.");
+                return;
+            }
+            if (!res.ok) {
+                const body = await res.json().catch(() => null);
+                setError(FAILURE_MESSAGES[body?.step] ?? FAILURE_MESSAGES.default);
+                return;
+            }
+            onDeleted?.();
+        } catch (err) {
+            console.error("Error deleting account:", err);
+            setError(FAILURE_MESSAGES.default);
+        } finally {
+            setDeleting(false);
+        }
+    };
+
+    return (
+        <Dialog
+            open={open}
+            // No dismissing mid-request: the outcome must be shown.
+            onClose={deleting ? undefined : onClose}
+            fullWidth
+            maxWidth="xs"
+            PaperProps={{ sx: { borderRadius: 3, p: 3 } }}
+        >
+            <Box sx={{ display: "flex", alignItems: "center", gap: 1, mb: 1.5 }}>
+                <DeleteForeverRoundedIcon sx={{ color: "#b91c1c" }} />
+                <Typography sx={{ fontWeight: 800, fontSize: 17, color: "#0f172a" }}>
+                    Disconnect bank & delete data?
+                </Typography>
+            </Box>
+            <Box component="ul" sx={{ m: 0, pl: 2.5, display: "flex", flexDirection: "column", gap: 0.75 }}>
+                {CONSEQUENCES.map((text) => (
+                    <Typography component="li" key={text} sx={{ fontSize: 13.5, color: "#334155", lineHeight: 1.55 }}>
+                        {text}
+                    </Typography>
+                ))}
+            </Box>
+            {error && (
+                <Typography sx={{ mt: 2, fontSize: 13, fontWeight: 600, color: "#b91c1c" }}>
+                    {error}
+                </Typography>
+            )}
+            <Box sx={{ display: "flex", justifyContent: "flex-end", gap: 1, mt: 3 }}>
+                <Button
+                    onClick={onClose}
+                    disabled={deleting}
+                    sx={{ textTransform: "none", fontWeight: 700, borderRadius: "10px", color: "#475569" }}
+                >
+                    Keep my data
+                </Button>
+                <Button
+                    variant="contained"
+                    onClick={handleConfirm}
+                    disabled={deleting}
+                    startIcon={deleting ? <CircularProgress size={14} color="inherit" /> : null}
+                    sx={{
+                        textTransform: "none",
+                        fontWeight: 700,
+                        borderRadius: "10px",
+                        bgcolor: "#b91c1c",
+                        "&:hover": { bgcolor: "#991b1b" },
+                    }}
+                >
+                    {deleting ? "Deleting…" : "Delete everything"}
+                </Button>
+            </Box>
+        </Dialog>
+    );
+}
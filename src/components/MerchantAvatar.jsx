@@ -0,0 +1,41 @@
+import * as React from "react";
+import Avatar from "@mui/material/Avatar";
+
+// Letter-avatar backgrounds; a merchant always gets the same one.
+const PALETTE = ["#1d4ed8", "#7c3aed", "#0891b2", "#be185d", "#b45309", "#15803d", "#4f46e5", "#0f766e"];
+
+const letterOf = (name) => (String(name ?? "").match(/[a-z0-9]/i)?.[0] ?? "?").toUpperCase();
+
+const colorOf = (key) => {
+    let hash = 0;
+    for (const ch of String(key ?? "")) hash = (hash * 31 + ch.codePointAt(0)) >>> 0;
+    return PALETTE[hash % PALETTE.length];
+};
+
+/**
+ * The merchant's logo (Plaid `logo_url`) or, when there is none or it fails
+ * to load, the first letter of its name on a colour picked from the name.
+ */
+export default function MerchantAvatar({ item, size = 36 }) {
+    const name = item?.description || "";
+    return (
+        <Avatar
+            src={item?.logo_url || undefined}
+            alt=""
+            slotProps={{ img: { loading: "lazy", referrerPolicy: "no-referrer" } }}
+            sx={{
+                width: size,
+                height: size,
+                fontSize: Math.round(size * 0.45),
+                fontWeight: 800,
+                color: "#fff",
+                bgcolor: colorOf(item?.merchant_entity_id || name),
+                border: "1px solid #e2e8f0",
+                // Logos are often transparent PNGs — give them a neutral backdrop.
+                "& .MuiAvatar-img": { bgcolor: "#fff", objectFit: "contain" },
+            }}
+        >
+            {letterOf(name)}
+        </Avatar>
+    );
+}
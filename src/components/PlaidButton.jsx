@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { usePlaidLink } from "react-plaid-link";
 import Box from "@mui/material/Box";
 import Button from "@mui/material/Button";
@@ -10,10 +10,60 @@ import CheckCircleRoundedIcon from "@mui/icons-material/CheckCircleRounded";
 import VisibilityOffRoundedIcon from "@mui/icons-material/VisibilityOffRounded";
 import ShieldRoundedIcon from "@mui/icons-material/ShieldRounded";
 import { toRecurringItems } from "../utils/recurring-data-formatter";
+// Token exchange goes through the Cloudflare Worker gateway, which verifies the
+// per-user proof and holds the Pipedream credentials.
+import { exchangePublicToken, formatWait, readRetryAfter, sendLinkEvents } from "../utils/worker-api.js";
+import { clearLinkSession, stashLinkEvents, stashLinkSession } from "../utils/session-auth.js";
 
-// Token exchange goes through the Cloudflare Worker gateway (see ../../worker/),
-// which verifies the per-user proof and holds the Pipedream credentials.
-const EXCHANGE_URL = `${process.env.REACT_APP_WORKER_URL}/api/exchange`;
+// Why a connection needs re-authenticating, by Plaid error_code.
+const RELINK_REASONS = {
+    ITEM_LOGIN_REQUIRED: "Your bank needs you to sign in again — usually after a password change or a new security check.",
+    PENDING_EXPIRATION: "Your bank's permission for this connection is about to expire. Reconnect to keep your subscriptions up to date.",
+    PENDING_DISCONNECT: "Your bank is about to disconnect this connection. Reconnect to keep your subscriptions up to date.",
+};
+const RELINK_FALLBACK = "Your bank connection needs attention before we can fetch new transactions.";
+
+// Plaid onExit error_code → what went wrong, in the user's terms.
+// `retry: false` where reopening the same Link session can't help.
+const INSTITUTION_TROUBLE = (bank) =>
+    `${bank} isn't responding right now. Please try again in a little while, or connect a different bank.`;
+const EXIT_ERRORS = {
+    INSTITUTION_DOWN: { text: INSTITUTION_TROUBLE },
+    INSTITUTION_NOT_RESPONDING: { text: INSTITUTION_TROUBLE },
+    INSTITUTION_NOT_AVAILABLE: { text: INSTITUTION_TROUBLE },
+    INSTITUTION_NO_LONGER_SUPPORTED: {
+        text: (bank) => `${bank} can no longer be connected through Plaid. Please connect a different bank.`,
+    },
+    INVALID_CREDENTIALS: {
+        text: () => "Those sign-in details didn't work. Check your username and password for your bank and try again.",
+    },
+    INVALID_MFA: { text: () => "That verification code didn't work. Please try again." },
+    ITEM_LOCKED: {
+        text: () => "Your bank has locked online access after too many attempts. Unlock it with your bank, then try again.",
+    },
+    INVALID_LINK_TOKEN: {
+        text: () => "This connection session has expired. Reopen this page from the app to start again.",
+        retry: false,
+    },
+};
+
+/** { text, isError, retry } for Link's onExit(error, metadata). */
+function describeExit(error, metadata) {
+    const bank = metadata?.institution?.name || "Your bank";
+    if (!error) {
+        // User closed Link themselves.
+        if (metadata?.status === "institution_not_found") {
+            return { text: "Couldn't find your bank? Try searching by its full name, or connect another account.", isError: false, retry: true };
+        }
+        return { text: "You closed the bank connection before it finished. Nothing was shared.", isError: false, retry: true };
+    }
+    const known = EXIT_ERRORS[error.error_code];
+    if (known) return { text: known.text(bank), isError: true, retry: known.retry !== false };
+    return { text: "Something went wrong while connecting your bank. Please try again.", isError: true, retry: true };
+}
+
+// onEvent metadata fields worth keeping for the connection funnel.
+const EVENT_FIELDS = ["view_name", "error_code", "error_type", "exit_status", "institution_id", "institution_name", "link_session_id", "timestamp"];
 
 const BENEFITS = [
     { icon: <LockRoundedIcon />, text: "Read-only access — no money moves" },
@@ -44,27 +94,102 @@ function Spinner() {
     );
 }
 
-export default function PlaidButton({ linkToken, onData, uid, ts, proof }) {
+/**
+ * Plaid Link card. `adding` switches the copy for connecting a second (or
+ * later) bank from the "Add another bank" dialog; the flow is the same.
+ *
+ * With `relink` ({ institution_name, error_code } from a relink_required
+ * response) the card runs Link in update mode: `linkToken` is the update-mode
+ * token for the existing Item, which keeps its access token, so there is no
+ * public_token exchange — `onRelinked` is called instead and is expected to
+ * re-fetch the data.
+ *
+ * Banks that use OAuth send the user away and back to /oauth-return; that
+ * page renders this card again with `receivedRedirectUri` (and the events
+ * stashed before leaving as `resumedEvents`), and Link resumes on its own as
+ * soon as it's ready.
+ */
+export default function PlaidButton({
+    linkToken,
+    onData,
+    uid,
+    ts,
+    proof,
+    v,
+    adding = false,
+    relink = null,
+    onRelinked,
+    receivedRedirectUri,
+    resumedEvents = [],
+}) {
     const [message, setMessage] = useState(null);
     const [isError, setIsError] = useState(false);
     const [loading, setLoading] = useState(false);
+    const [canRetry, setCanRetry] = useState(true);
+    const [exited, setExited] = useState(false);
+    // onEvent funnel for the current Link session; flushed when Link closes.
+    const events = useRef([...resumedEvents]);
+
+    const flushEvents = () => {
+        if (!events.current.length || !uid) return;
+        const batch = events.current;
+        events.current = [];
+        sendLinkEvents({ uid, ts, proof, v }, batch).catch((e) => console.error("Error sending Link events:", e));
+    };
 
     const { open, ready, error } = usePlaidLink({
         token: linkToken,
-        onSuccess: async (public_token) => {
+        receivedRedirectUri,
+        onEvent: (eventName, metadata) => {
+            const picked = Object.fromEntries(EVENT_FIELDS.filter((k) => metadata?.[k]).map((k) => [k, String(metadata[k])]));
+            events.current.push({ event_name: eventName, ...picked });
+            // The page is about to leave for the bank's site.
+            if (eventName === "OPEN_OAUTH") stashLinkEvents(events.current);
+        },
+        // Link is closed either way, so the OAuth stash (proof + session token)
+        // has served its purpose; "Try again" stashes afresh.
+        onExit: (error, metadata) => {
+            clearLinkSession();
+            flushEvents();
+            const { text, isError: failed, retry } = describeExit(error, metadata);
+            setIsError(failed);
+            setMessage(text);
+            setCanRetry(retry);
+            setExited(true);
+        },
+        onSuccess: async (public_token, metadata) => {
+            clearLinkSession();
+            flushEvents();
             setLoading(true);
             setIsError(false);
             setMessage(null);
+            if (relink) {
+                try {
+                    await onRelinked?.();
+                } catch (e) {
+                    console.error(e);
+                    setIsError(true);
+                    setMessage("Reconnected, but we couldn't refresh your subscriptions yet. Please try again shortly.");
+                } finally {
+                    setLoading(false);
+                }
+                return;
+            }
             try {
-                const res = await fetch(EXCHANGE_URL, {
-                    method: "POST",
-                    headers: { "Content-Type": "application/json" },
-                    body: JSON.stringify({ publicToken: public_token, uid, ts, proof }),
-                });
+                const res = await exchangePublicToken({ uid, ts, proof, v }, public_token, metadata);
+                if (res.status === 429) {
+                    // Rate-limited before the exchange ran: this public_token is
+                    // unused but about to expire, so the user has to link again.
+                    const secs = await readRetryAfter(res);
+                    setIsError(true);
+                    setMessage(`Too many attempts right now. Please wait ${formatWait(secs)}, then connect your bank again.`);
+                    return;
+                }
                 if (!res.ok) throw new Error(`HTTP error! Status: ${res.status}`);
                 const data = await res.json();
                 const items = await toRecurringItems(data?.response_object?.data);
-                onData?.(items);
+                // Envelope passed along for its freshness metadata (fetchedAt/source).
+                onData?.(items, data?.response_object);
             } catch (e) {
                 console.error(e);
                 setIsError(true);
@@ -76,8 +201,35 @@ export default function PlaidButton({ linkToken, onData, uid, ts, proof }) {
         },
     });
 
+    // Resuming after an OAuth redirect: reopen Link without waiting for a tap.
+    useEffect(() => {
+        if (receivedRedirectUri && ready) open();
+    }, [receivedRedirectUri, ready, open]);
+
+    // Stash what /oauth-return needs in case the bank redirects away mid-flow.
+    const openLink = () => {
+        stashLinkSession({
+            auth: { uid, ts, proof, v },
+            linkToken,
+            mode: relink ? "relink" : adding ? "add" : "connect",
+            relink,
+        });
+        open();
+    };
+
     if (loading) return <Spinner />;
 
+    const bankName = relink?.institution_name || "your bank";
+    const heading = relink ? `Reconnect ${bankName}` : adding ? "Add another bank" : "Connect your bank";
+    const blurb = relink
+        ? RELINK_REASONS[relink.error_code] ?? RELINK_FALLBACK
+        : adding
+            ? "Subscriptions from this bank will appear alongside the ones you already track."
+            : "Securely scan your transactions to identify recurring subscriptions and charges.";
+    const cta = exited
+        ? "Try again"
+        : relink ? `Reconnect ${bankName}` : adding ? "Connect another bank" : "Connect a bank account";
+
     return (
         <Box sx={{ maxWidth: 560, mx: "auto", px: { xs: 2, sm: 0 } }} aria-busy={loading}>
             {/* Main connect card */}
@@ -146,7 +298,7 @@ export default function PlaidButton({ linkToken, onData, uid, ts, proof }) {
                             zIndex: 1,
                         }}
                     >
-                        Connect your bank
+                        {heading}
                     </Typography>
                     <Typography
                         sx={{
@@ -159,7 +311,7 @@ export default function PlaidButton({ linkToken, onData, uid, ts, proof }) {
                             zIndex: 1,
                         }}
                     >
-                        Securely scan your transactions to identify recurring subscriptions and charges.
+                        {blurb}
                     </Typography>
                 </Box>
 
@@ -209,8 +361,8 @@ export default function PlaidButton({ linkToken, onData, uid, ts, proof }) {
                         variant="contained"
                         size="large"
                         startIcon={<AccountBalanceRoundedIcon />}
-                        onClick={() => open()}
-                        disabled={!ready}
+                        onClick={openLink}
+                        disabled={!ready || !canRetry}
                         sx={{
                             borderRadius: "12px",
                             fontWeight: 700,
@@ -226,7 +378,7 @@ export default function PlaidButton({ linkToken, onData, uid, ts, proof }) {
                             "&:disabled": { background: "#e2e8f0" },
                         }}
                     >
-                        Connect a bank account
+                        {cta}
                     </Button>
 
                     {/* Status message */}
@@ -236,16 +388,16 @@ export default function PlaidButton({ linkToken, onData, uid, ts, proof }) {
                                 borderRadius: "10px",
                                 px: 2,
                                 py: 1.25,
-                                bgcolor: isError ? "#fef2f2" : "#f0fdf4",
+                                bgcolor: isError ? "#fef2f2" : "#f8fafc",
                                 border: "1px solid",
-                                borderColor: isError ? "#fca5a5" : "#bbf7d0",
+                                borderColor: isError ? "#fca5a5" : "#e2e8f0",
                             }}
                         >
                             <Typography
                                 sx={{
                                     fontSize: 13,
                                     fontWeight: 600,
-                                    color: isError ? "#b91c1c" : "#15803d",
+                                    color: isError ? "#b91c1c" : "#475569",
                                     textAlign: "center",
                                 }}
                             >
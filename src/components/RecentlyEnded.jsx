@@ -0,0 +1,126 @@
+import * as React from "react";
+import Box from "@mui/material/Box";
+import Chip from "@mui/material/Chip";
+import Stack from "@mui/material/Stack";
+import Divider from "@mui/material/Divider";
+import Collapse from "@mui/material/Collapse";
+import ButtonBase from "@mui/material/ButtonBase";
+import Typography from "@mui/material/Typography";
+import ExpandMoreRoundedIcon from "@mui/icons-material/ExpandMoreRounded";
+import EventBusyRoundedIcon from "@mui/icons-material/EventBusyRounded";
+import { cancellationSavings } from "../utils/recurring-data-formatter.js";
+import { formatISODate } from "../utils/dates.js";
+import { toUSD } from "../utils/format.js";
+
+const LONG_DATE = { month: "short", day: "numeric", year: "numeric" };
+
+/**
+ * Collapsible "Recently ended" section: streams Plaid stopped seeing in the
+ * past 12 months, plus what cancelling them has saved so far — the proof that
+ * a cancellation actually stuck.
+ */
+export default function RecentlyEnded({ items = [] }) {
+    const [open, setOpen] = React.useState(false);
+    const savings = React.useMemo(() => cancellationSavings(items), [items]);
+
+    if (items.length === 0) return null;
+
+    return (
+        <Box
+            sx={{
+                mt: 2.5,
+                bgcolor: "#fff",
+                border: "1px solid #e2e8f0",
+                borderRadius: 3,
+                overflow: "hidden",
+                boxShadow: "0 1px 3px rgba(15,23,42,0.06)",
+            }}
+        >
+            {/* Toggle header */}
+            <ButtonBase
+                onClick={() => setOpen((v) => !v)}
+                aria-expanded={open}
+                sx={{
+                    width: "100%",
+                    display: "flex",
+                    justifyContent: "space-between",
+                    alignItems: "center",
+                    gap: 1,
+                    px: { xs: 2, sm: 2.5 },
+                    py: 1.75,
+                    bgcolor: "#fafafa",
+                    textAlign: "left",
+                }}
+            >
+                <Box sx={{ minWidth: 0 }}>
+                    <Typography sx={{ fontWeight: 700, fontSize: 15, color: "#0f172a" }}>
+                        Recently ended ({items.length})
+                    </Typography>
+                    {savings.savedSoFar > 0 && (
+                        <Typography sx={{ fontSize: 12.5, color: "#15803d", fontWeight: 600, mt: 0.25 }}>
+                            {toUSD(savings.savedSoFar)} saved from cancellations in the last 12 months
+                        </Typography>
+                    )}
+                </Box>
+                <ExpandMoreRoundedIcon
+                    sx={{ color: "#64748b", transition: "transform 0.2s", transform: open ? "rotate(180deg)" : "none" }}
+                />
+            </ButtonBase>
+
+            <Collapse in={open} unmountOnExit>
+                {savings.annualized > 0 && (
+                    <Box sx={{ px: { xs: 2, sm: 2.5 }, pt: 1.5 }}>
+                        <Box sx={{ bgcolor: "#f0fdf4", border: "1px solid #bbf7d0", borderRadius: 2, px: 1.75, py: 1.25 }}>
+                            <Typography sx={{ fontSize: 13, color: "#166534", lineHeight: 1.55 }}>
+                                These charges have stopped. Had they kept running you'd have paid another{" "}
+                                <Box component="span" sx={{ fontWeight: 800 }}>{toUSD(savings.savedSoFar)}</Box>
+                                {" "}by now — about{" "}
+                                <Box component="span" sx={{ fontWeight: 800 }}>{toUSD(savings.annualized)}</Box>
+                                {" "}a year.
+                            </Typography>
+                        </Box>
+                    </Box>
+                )}
+
+                <Stack
+                    divider={<Divider sx={{ borderColor: "#f1f5f9" }} />}
+                    sx={{ px: { xs: 2, sm: 2.5 }, py: 1 }}
+                >
+                    {items.map((item, idx) => (
+                        <Box
+                            key={item.stream_id ?? idx}
+                            sx={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 2, py: 1.25 }}
+                        >
+                            <Box sx={{ minWidth: 0 }}>
+                                <Typography sx={{ fontWeight: 700, fontSize: 14, color: "#475569", wordBreak: "break-word" }}>
+                                    {item.description || "Subscription"}
+                                </Typography>
+                                <Typography sx={{ fontSize: 12.5, color: "#94a3b8", fontWeight: 500, display: "flex", alignItems: "center", gap: 0.5 }}>
+                                    <EventBusyRoundedIcon sx={{ fontSize: 13 }} />
+                                    Last charged {formatISODate(item.last_date, LONG_DATE)}
+                                    {" · "}
+                                    {toUSD(item.last_amount?.amount ?? item.average_amount?.amount)}
+                                </Typography>
+                            </Box>
+                            <Chip
+                                label="ENDED"
+                                size="small"
+                                sx={{
+                                    height: 22,
+                                    fontSize: 10,
+                                    fontWeight: 800,
+                                    letterSpacing: 0.6,
+                                    borderRadius: "6px",
+                                    color: "#475569",
+                                    bgcolor: "#f1f5f9",
+                                    border: "1px solid #e2e8f0",
+                                    flexShrink: 0,
+                                }}
+                            />
+                        </Box>
+                    ))}
+                </Stack>
+            </Collapse>
+        </Box>
+    );
+}
@@ -0,0 +1,146 @@
+import * as React from "react";
+import Box from "@mui/material/Box";
+import Stack from "@mui/material/Stack";
+import Divider from "@mui/material/Divider";
+import Typography from "@mui/material/Typography";
+import LinearProgress from "@mui/material/LinearProgress";
+import WorkRoundedIcon from "@mui/icons-material/WorkRounded";
+import VolunteerActivismRoundedIcon from "@mui/icons-material/VolunteerActivismRounded";
+import SwapHorizRoundedIcon from "@mui/icons-material/SwapHorizRounded";
+import SavingsRoundedIcon from "@mui/icons-material/SavingsRounded";
+import { summarizeIncome } from "../utils/recurring-data-formatter.js";
+import { formatISODate } from "../utils/dates.js";
+import { frequencyLabel, toUSD } from "../utils/format.js";
+
+/* --------------------------------------------------------------------------
+ * Helpers
+ * ------------------------------------------------------------------------*/
+
+// Section order + presentation per income_type (see incomeTypeOf).
+const INCOME_TYPES = [
+    { type: "payroll", label: "Payroll", icon: <WorkRoundedIcon />, accent: "#15803d" },
+    { type: "benefits", label: "Benefits", icon: <VolunteerActivismRoundedIcon />, accent: "#7c3aed" },
+    { type: "transfer", label: "Transfers in", icon: <SwapHorizRoundedIcon />, accent: "#0891b2" },
+    { type: "other", label: "Other income", icon: <SavingsRoundedIcon />, accent: "#64748b" },
+];
+
+// Share of income committed to subscriptions → bar colour.
+const shareColor = (share) => (share >= 0.3 ? "#ef4444" : share >= 0.15 ? "#f59e0b" : "#22c55e");
+
+/* --------------------------------------------------------------------------
+ * Income vs spend summary
+ * ------------------------------------------------------------------------*/
+
+function IncomeVsSpend({ summary }) {
+    const { monthlyIncome, monthlySpend, committedShare } = summary;
+    const pct = committedShare == null ? null : Math.round(committedShare * 100);
+
+    return (
+        <Box sx={{ bgcolor: "#f8fafc", border: "1px solid #e2e8f0", borderRadius: 2, px: 2, py: 1.75, mb: 2 }}>
+            <Box sx={{ display: "flex", gap: 2, flexWrap: "wrap", mb: 1.25 }}>
+                <Box sx={{ flex: 1, minWidth: 120 }}>
+                    <Typography sx={{ fontSize: 11, color: "#94a3b8", fontWeight: 600 }}>Recurring income / mo</Typography>
+                    <Typography sx={{ fontSize: 17, fontWeight: 800, color: "#15803d" }}>{toUSD(monthlyIncome)}</Typography>
+                </Box>
+                <Box sx={{ flex: 1, minWidth: 120 }}>
+                    <Typography sx={{ fontSize: 11, color: "#94a3b8", fontWeight: 600 }}>Subscriptions / mo</Typography>
+                    <Typography sx={{ fontSize: 17, fontWeight: 800, color: "#0f172a" }}>{toUSD(monthlySpend)}</Typography>
+                </Box>
+            </Box>
+
+            {pct == null ? (
+                <Typography sx={{ fontSize: 13, color: "#64748b" }}>
+                    No regular income detected, so we can't compare it with your subscriptions.
+                </Typography>
+            ) : (
+                <>
+                    <LinearProgress
+                        variant="determinate"
+                        value={Math.min(100, pct)}
+                        aria-label="Share of income committed to subscriptions"
+                        sx={{
+                            height: 8,
+                            borderRadius: 4,
+                            bgcolor: "#e2e8f0",
+                            "& .MuiLinearProgress-bar": { bgcolor: shareColor(committedShare), borderRadius: 4 },
+                        }}
+                    />
+                    <Typography sx={{ fontSize: 13, color: "#334155", mt: 1 }}>
+                        <Box component="span" sx={{ fontWeight: 800 }}>{pct}%</Box>
+                        {" "}of your regular income is committed to subscriptions.
+                    </Typography>
+                </>
+            )}
+        </Box>
+    );
+}
+
+/* --------------------------------------------------------------------------
+ * Income row
+ * ------------------------------------------------------------------------*/
+
+function IncomeRow({ item }) {
+    return (
+        <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start", gap: 2, py: 1 }}>
+            <Box sx={{ minWidth: 0 }}>
+                <Typography sx={{ fontWeight: 700, fontSize: 14, color: "#0f172a", wordBreak: "break-word" }}>
+                    {item.description || "Income"}
+                </Typography>
+                <Typography sx={{ fontSize: 12.5, color: "#94a3b8", fontWeight: 500 }}>
+                    {frequencyLabel(item.frequency)}&nbsp;·&nbsp;Next:&nbsp;{formatISODate(item.predicted_next_date)}
+                </Typography>
+            </Box>
+            <Typography sx={{ fontWeight: 800, fontSize: 14, color: "#15803d", whiteSpace: "nowrap" }}>
+                +{toUSD(item.average_amount?.amount)}
+            </Typography>
+        </Box>
+    );
+}
+
+/* --------------------------------------------------------------------------
+ * Main component
+ * ------------------------------------------------------------------------*/
+
+/**
+ * Income mode: recurring inflows grouped by type, headed by how much of that
+ * income the user's subscriptions (`spendItems`, all of them — not just the
+ * filtered list) already claim each month.
+ */
+export default function RecurringIncome({ income = [], spendItems = [] }) {
+    const summary = React.useMemo(() => summarizeIncome(income, spendItems), [income, spendItems]);
+
+    return (
+        <Box>
+            <IncomeVsSpend summary={summary} />
+
+            {income.length === 0 && (
+                <Typography sx={{ color: "#94a3b8", fontWeight: 500, textAlign: "center", py: 4 }}>
+                    No recurring income found on your linked accounts.
+                </Typography>
+            )}
+
+            {INCOME_TYPES.map(({ type, label, icon, accent }) => {
+                const rows = income.filter((i) => i.income_type === type);
+                if (!rows.length) return null;
+                return (
+                    <Box key={type} sx={{ mb: 2 }}>
+                        <Box sx={{ display: "flex", alignItems: "center", gap: 0.75, mb: 0.5, px: 0.5 }}>
+                            {React.cloneElement(icon, { sx: { fontSize: 16, color: accent } })}
+                            <Typography sx={{ fontSize: 12, fontWeight: 800, color: "#64748b", textTransform: "uppercase", letterSpacing: "0.06em" }}>
+                                {label}
+                            </Typography>
+                        </Box>
+                        <Stack
+                            divider={<Divider sx={{ borderColor: "#f1f5f9" }} />}
+                            sx={{ bgcolor: "#fff", border: "1px solid #e2e8f0", borderRadius: 2, px: 1.75 }}
+                        >
+                            {rows.map((item, idx) => (
+                                <IncomeRow key={item.stream_id ?? idx} item={item} />
+                            ))}
+                        </Stack>
+                    </Box>
+                );
+            })}
+        </Box>
+    );
+}
@@ -0,0 +1,338 @@
+import * as React from "react";
+import Box from "@mui/material/Box";
+import Chip from "@mui/material/Chip";
+import Button from "@mui/material/Button";
+import Drawer from "@mui/material/Drawer";
+import Divider from "@mui/material/Divider";
+import IconButton from "@mui/material/IconButton";
+import Link from "@mui/material/Link";
+import Typography from "@mui/material/Typography";
+import ToggleButton from "@mui/material/ToggleButton";
+import ToggleButtonGroup from "@mui/material/ToggleButtonGroup";
+import CloseRoundedIcon from "@mui/icons-material/CloseRounded";
+import TrendingUpRoundedIcon from "@mui/icons-material/TrendingUpRounded";
+import TrendingDownRoundedIcon from "@mui/icons-material/TrendingDownRounded";
+import ReceiptLongRoundedIcon from "@mui/icons-material/ReceiptLongRounded";
+import OpenInNewRoundedIcon from "@mui/icons-material/OpenInNewRounded";
+import ContentCutRoundedIcon from "@mui/icons-material/ContentCutRounded";
+import MerchantAvatar from "./MerchantAvatar.jsx";
+import { websiteHost } from "../utils/recurring-data-formatter.js";
+import { formatDuration, formatISODate, monthsBetween, parseISODate } from "../utils/dates.js";
+import { DISPOSITIONS } from "../utils/dispositions.js";
+import { accountLabelOf } from "../utils/subscription-filters.js";
+import { categoryLabel, subcategoryLabel } from "../utils/categories.js";
+import { frequencyLabel, toUSD } from "../utils/format.js";
+
+/* --------------------------------------------------------------------------
+ * Helpers
+ * ------------------------------------------------------------------------*/
+
+const LONG_DATE = { month: "short", day: "numeric", year: "numeric" };
+
+// Plaid stream status → plain language.
+const STATUS_TEXT = {
+    MATURE: "Established",
+    EARLY_DETECTION: "Recently detected",
+    TOMBSTONED: "Ended",
+    UNKNOWN: "Unknown",
+};
+
+// Transaction IDs shown before "+ N more".
+const VISIBLE_TXNS = 6;
+
+function DetailRow({ label, value }) {
+    return (
+        <Box sx={{ display: "flex", justifyContent: "space-between", gap: 2, py: 0.9 }}>
+            <Typography sx={{ fontSize: 13, color: "#64748b" }}>{label}</Typography>
+            <Typography sx={{ fontSize: 13, color: "#0f172a", fontWeight: 600, textAlign: "right" }}>
+                {value}
+            </Typography>
+        </Box>
+    );
+}
+
+function SectionTitle({ children }) {
+    return (
+        <Typography
+            sx={{
+                fontSize: 11,
+                fontWeight: 800,
+                color: "#94a3b8",
+                textTransform: "uppercase",
+                letterSpacing: "0.08em",
+                mb: 0.75,
+            }}
+        >
+            {children}
+        </Typography>
+    );
+}
+
+/**
+ * The stream's price change (see detectPriceChange) as a plain-text indicator
+ * rather than a hover-only hint so it also reads on touch devices inside Glide.
+ */
+function PriceChange({ change }) {
+    if (!change) return null;
+
+    const up = change.direction === "up";
+    const pct = Math.round(Math.abs(change.pct) * 100);
+    const baseline = change.against === "previous"
+        ? `${toUSD(change.baseline)} last time`
+        : `the ${toUSD(change.baseline)} average`;
+    const Icon = up ? TrendingUpRoundedIcon : TrendingDownRoundedIcon;
+    return (
+        <Box
+            sx={{
+                display: "flex",
+                alignItems: "center",
+                gap: 1,
+                mt: 1.5,
+                px: 1.5,
+                py: 1,
+                borderRadius: 2,
+                bgcolor: up ? "#fef2f2" : "#f0fdf4",
+                border: "1px solid",
+                borderColor: up ? "#fca5a5" : "#86efac",
+            }}
+        >
+            <Icon sx={{ fontSize: 18, color: up ? "#b91c1c" : "#166534" }} />
+            <Typography sx={{ fontSize: 13, color: up ? "#b91c1c" : "#166534", fontWeight: 600 }}>
+                Last charge {toUSD(change.last)} — {up ? "up" : "down"} {toUSD(change.delta)} ({pct}%) from {baseline}
+            </Typography>
+        </Box>
+    );
+}
+
+/* --------------------------------------------------------------------------
+ * Drawer
+ * ------------------------------------------------------------------------*/
+
+/**
+ * Everything Plaid knows about one stream. `badge` is the risk badge config
+ * the card already resolved (see Subscriptions.jsx), so both stay in sync.
+ * With `onDispositionChange`, the user can also mark the stream here, and
+ * with `onHowToCancel(item)` open the cancellation helper.
+ */
+export default function SubscriptionDetailDrawer({ item, badge, open, onClose, onDispositionChange, onHowToCancel }) {
+    const [showAllTxns, setShowAllTxns] = React.useState(false);
+    React.useEffect(() => setShowAllTxns(false), [item]);
+
+    const first = parseISODate(item?.first_date);
+    const runningFor = first ? formatDuration(monthsBetween(first, new Date())) : "—";
+    const txns = item?.transaction_ids ?? [];
+    const shownTxns = showAllTxns ? txns : txns.slice(0, VISIBLE_TXNS);
+    const category = item?.personal_finance_category;
+    const host = websiteHost(item?.website);
+
+    return (
+        <Drawer
+            anchor="right"
+            open={open}
+            onClose={onClose}
+            PaperProps={{ sx: { width: { xs: "100%", sm: 420 }, bgcolor: "#f8fafc" } }}
+        >
+            {item && (
+                <Box sx={{ display: "flex", flexDirection: "column", minHeight: "100%" }}>
+                    {/* Header */}
+                    <Box
+                        sx={{
+                            px: 2.5,
+                            py: 2,
+                            bgcolor: "#fff",
+                            borderBottom: "1px solid #e2e8f0",
+                            display: "flex",
+                            alignItems: "flex-start",
+                            gap: 1.5,
+                        }}
+                    >
+                        <MerchantAvatar item={item} size={44} />
+                        <Box sx={{ flex: 1, minWidth: 0 }}>
+                            {badge && (
+                                <Chip
+                                    icon={badge.icon}
+                                    label={badge.label}
+                                    size="small"
+                                    sx={{
+                                        height: 22,
+                                        fontSize: 10,
+                                        fontWeight: 800,
+                                        letterSpacing: 0.6,
+                                        borderRadius: "6px",
+                                        mb: 1,
+                                        "& .MuiChip-icon": { fontSize: "13px !important", color: "inherit" },
+                                        ...badge.chipSx,
+                                    }}
+                                />
+                            )}
+                            <Typography sx={{ fontWeight: 800, fontSize: 18, color: "#0f172a", lineHeight: 1.3, wordBreak: "break-word" }}>
+                                {item.description || "Subscription"}
+                            </Typography>
+                            <Typography sx={{ fontSize: 14, color: "#64748b", mt: 0.25 }}>
+                                {toUSD(item.average_amount?.amount)} · {frequencyLabel(item.frequency)}
+                                {item.monthly_amount != null && item.frequency !== "MONTHLY" && (
+                                    <> · ≈ {toUSD(item.monthly_amount)}/mo</>
+                                )}
+                            </Typography>
+                            {host && (
+                                <Link
+                                    href={item.website}
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                    underline="hover"
+                                    sx={{ display: "inline-flex", alignItems: "center", gap: 0.5, mt: 0.5, fontSize: 13, fontWeight: 600, color: "#1d4ed8" }}
+                                >
+                                    {host}
+                                    <OpenInNewRoundedIcon sx={{ fontSize: 14 }} />
+                                </Link>
+                            )}
+                            <PriceChange change={item.price_change} />
+                        </Box>
+                        <IconButton onClick={onClose} aria-label="Close details" size="small" sx={{ mt: -0.5 }}>
+                            <CloseRoundedIcon />
+                        </IconButton>
+                    </Box>
+
+                    <Box sx={{ px: 2.5, py: 2, display: "flex", flexDirection: "column", gap: 2.5 }}>
+                        {/* User's mark — persists across data refreshes (keyed by stream_id) */}
+                        {onDispositionChange && item.stream_id && (
+                            <Box>
+                                <SectionTitle>Your decision</SectionTitle>
+                                <ToggleButtonGroup
+                                    exclusive
+                                    fullWidth
+                                    size="small"
+                                    value={item.disposition ?? null}
+                                    // Tapping the active option again clears it (value → null).
+                                    onChange={(_, v) => onDispositionChange(item.stream_id, v)}
+                                    aria-label="Your decision"
+                                    sx={{ bgcolor: "#fff" }}
+                                >
+                                    {DISPOSITIONS.map((d) => (
+                                        <ToggleButton
+                                            key={d.value}
+                                            value={d.value}
+                                            sx={{
+                                                textTransform: "none",
+                                                fontSize: 12.5,
+                                                fontWeight: 700,
+                                                lineHeight: 1.3,
+                                                "&.Mui-selected, &.Mui-selected:hover": {
+                                                    color: d.color,
+                                                    bgcolor: d.bg,
+                                                },
+                                            }}
+                                        >
+                                            {d.label}
+                                        </ToggleButton>
+                                    ))}
+                                </ToggleButtonGroup>
+                            </Box>
+                        )}
+
+                        {onHowToCancel && (
+                            <Button
+                                variant="outlined"
+                                fullWidth
+                                onClick={() => onHowToCancel(item)}
+                                startIcon={<ContentCutRoundedIcon />}
+                                sx={{
+                                    textTransform: "none",
+                                    fontWeight: 700,
+                                    borderRadius: "10px",
+                                    bgcolor: "#fff",
+                                    color: "#b91c1c",
+                                    borderColor: "#fca5a5",
+                                    "&:hover": { bgcolor: "#fef2f2", borderColor: "#f87171" },
+                                }}
+                            >
+                                How to cancel
+                            </Button>
+                        )}
+
+                        {/* Risk explanation — always visible, no hover needed */}
+                        {item.risk_reason && (
+                            <Box>
+                                <SectionTitle>Why it's flagged</SectionTitle>
+                                <Box
+                                    sx={{
+                                        bgcolor: badge?.bgColor ?? "#fff",
+                                        border: "1px solid",
+                                        borderColor: badge?.borderColor ?? "#e2e8f0",
+                                        borderRadius: 2,
+                                        px: 1.75,
+                                        py: 1.5,
+                                    }}
+                                >
+                                    <Typography sx={{ fontSize: 13, color: "#334155", lineHeight: 1.65 }}>
+                                        {item.risk_reason}
+                                    </Typography>
+                                </Box>
+                            </Box>
+                        )}
+
+                        {/* Details */}
+                        <Box>
+                            <SectionTitle>Details</SectionTitle>
+                            <Box sx={{ bgcolor: "#fff", border: "1px solid #e2e8f0", borderRadius: 2, px: 1.75 }}>
+                                <DetailRow label="Charged to" value={accountLabelOf(item)} />
+                                <Divider sx={{ borderColor: "#f1f5f9" }} />
+                                <DetailRow label="Category" value={categoryLabel(category?.primary)} />
+                                <Divider sx={{ borderColor: "#f1f5f9" }} />
+                                <DetailRow label="Subcategory" value={subcategoryLabel(category?.detailed, category?.primary)} />
+                                <Divider sx={{ borderColor: "#f1f5f9" }} />
+                                <DetailRow label="Status" value={STATUS_TEXT[item.status] ?? STATUS_TEXT.UNKNOWN} />
+                                <Divider sx={{ borderColor: "#f1f5f9" }} />
+                                <DetailRow label="Running for" value={runningFor} />
+                                <Divider sx={{ borderColor: "#f1f5f9" }} />
+                                <DetailRow label="First charge" value={formatISODate(item.first_date, LONG_DATE)} />
+                                <Divider sx={{ borderColor: "#f1f5f9" }} />
+                                <DetailRow label="Last charge" value={formatISODate(item.last_date, LONG_DATE)} />
+                                <Divider sx={{ borderColor: "#f1f5f9" }} />
+                                <DetailRow label="Next charge" value={formatISODate(item.predicted_next_date, LONG_DATE)} />
+                            </Box>
+                        </Box>
+
+                        {/* Transaction history */}
+                        <Box>
+                            <SectionTitle>Transaction history</SectionTitle>
+                            <Box sx={{ bgcolor: "#fff", border: "1px solid #e2e8f0", borderRadius: 2, px: 1.75, py: 1.25 }}>
+                                <Typography sx={{ fontSize: 13, color: "#334155", mb: txns.length ? 1 : 0 }}>
+                                    {txns.length
+                                        ? `${txns.length} ${txns.length === 1 ? "charge" : "charges"} on record`
+                                        : "No individual transactions on record."}
+                                </Typography>
+                                {shownTxns.map((id) => (
+                                    <Box key={id} sx={{ display: "flex", alignItems: "center", gap: 1, py: 0.4 }}>
+                                        <ReceiptLongRoundedIcon sx={{ fontSize: 14, color: "#94a3b8" }} />
+                                        <Typography sx={{ fontSize: 12, color: "#64748b", fontFamily: "monospace", wordBreak: "break-all" }}>
+                                            {id}
+                                        </Typography>
+                                    </Box>
+                                ))}
+                                {txns.length > VISIBLE_TXNS && (
+                                    <Typography
+                                        component="button"
+                                        onClick={() => setShowAllTxns((v) => !v)}
+                                        sx={{
+                                            mt: 0.5,
+                                            p: 0,
+                                            border: 0,
+                                            bgcolor: "transparent",
+                                            cursor: "pointer",
+                                            fontSize: 12.5,
+                                            fontWeight: 700,
+                                            color: "#1d4ed8",
+                                        }}
+                                    >
+                                        {showAllTxns ? "Show fewer" : `+ ${txns.length - VISIBLE_TXNS} more`}
+                                    </Typography>
+                                )}
+                            </Box>
+                        </Box>
+                    </Box>
+                </Box>
+            )}
+        </Drawer>
+    );
+}
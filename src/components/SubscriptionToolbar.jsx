@@ -0,0 +1,252 @@
+import * as React from "react";
+import Box from "@mui/material/Box";
+import Chip from "@mui/material/Chip";
+import Button from "@mui/material/Button";
+import TextField from "@mui/material/TextField";
+import MenuItem from "@mui/material/MenuItem";
+import Typography from "@mui/material/Typography";
+import Switch from "@mui/material/Switch";
+import FormControlLabel from "@mui/material/FormControlLabel";
+import InputAdornment from "@mui/material/InputAdornment";
+import SearchRoundedIcon from "@mui/icons-material/SearchRounded";
+import SortRoundedIcon from "@mui/icons-material/SortRounded";
+import { EMPTY_FILTERS, SORT_OPTIONS, hasActiveFilters } from "../utils/subscription-filters.js";
+import { DISPOSITIONS, UNMARKED } from "../utils/dispositions.js";
+import { categoryLabel } from "../utils/categories.js";
+import { frequencyLabel } from "../utils/format.js";
+
+/* --------------------------------------------------------------------------
+ * Chip groups
+ * ------------------------------------------------------------------------*/
+
+// Same palette as the card badges / Risk Flag Guide.
+const RISK_CHIPS = [
+    { value: "likely_fraud", label: "Likely fraud", color: "#b91c1c", bg: "#fee2e2", border: "#fca5a5" },
+    { value: "likely_scam", label: "Likely scam", color: "#92400e", bg: "#fef3c7", border: "#fcd34d" },
+    { value: "worth_watching", label: "Worth watching", color: "#1d4ed8", bg: "#dbeafe", border: "#93c5fd" },
+    { value: "none", label: "None", color: "#166534", bg: "#dcfce7", border: "#86efac" },
+];
+
+const toggle = (list, value) =>
+    list.includes(value) ? list.filter((v) => v !== value) : [...list, value];
+
+function ChipRow({ label, children }) {
+    return (
+        <Box sx={{ display: "flex", alignItems: "center", gap: 1, minWidth: 0 }}>
+            <Typography
+                sx={{
+                    fontSize: 11,
+                    fontWeight: 700,
+                    color: "#94a3b8",
+                    textTransform: "uppercase",
+                    letterSpacing: "0.06em",
+                    width: 72,
+                    flexShrink: 0,
+                }}
+            >
+                {label}
+            </Typography>
+            {/* Scrolls sideways on narrow screens instead of wrapping into a wall of chips. */}
+            <Box sx={{ display: "flex", gap: 0.75, overflowX: "auto", pb: 0.25, scrollbarWidth: "none" }}>
+                {children}
+            </Box>
+        </Box>
+    );
+}
+
+function FilterChip({ label, selected, onClick, palette }) {
+    return (
+        <Chip
+            label={label}
+            size="small"
+            onClick={onClick}
+            variant={selected ? "filled" : "outlined"}
+            aria-pressed={selected}
+            sx={{
+                height: 26,
+                fontSize: 12,
+                fontWeight: 600,
+                borderRadius: "8px",
+                flexShrink: 0,
+                ...(selected
+                    ? {
+                        color: palette?.color ?? "#fff",
+                        bgcolor: palette?.bg ?? "#1d4ed8",
+                        border: `1px solid ${palette?.border ?? "#1d4ed8"}`,
+                        "&:hover": { bgcolor: palette?.bg ?? "#1e40af" },
+                    }
+                    : { color: "#475569", borderColor: "#e2e8f0", bgcolor: "#fff" }),
+            }}
+        />
+    );
+}
+
+/* --------------------------------------------------------------------------
+ * Toolbar
+ * ------------------------------------------------------------------------*/
+
+/**
+ * Search box, sort menu and filter chips for the subscription list.
+ * Fully controlled: Subscriptions owns `filters` / `sort` (and whether the
+ * list is grouped by account) so the stat cards can summarize exactly what
+ * the list shows.
+ */
+export default function SubscriptionToolbar({
+    filters,
+    onFiltersChange,
+    sort,
+    onSortChange,
+    grouped,
+    onGroupedChange,
+    options,
+    shown,
+    total,
+}) {
+    const set = (patch) => onFiltersChange({ ...filters, ...patch });
+    const active = hasActiveFilters(filters);
+
+    return (
+        <Box
+            sx={{
+                bgcolor: "#fff",
+                border: "1px solid #e2e8f0",
+                borderRadius: 3,
+                boxShadow: "0 1px 3px rgba(15,23,42,0.06)",
+                px: { xs: 1.5, sm: 2 },
+                py: 1.5,
+                mb: 2,
+                display: "flex",
+                flexDirection: "column",
+                gap: 1.25,
+            }}
+        >
+            {/* Search + sort */}
+            <Box sx={{ display: "flex", gap: 1, flexWrap: { xs: "wrap", sm: "nowrap" } }}>
+                <TextField
+                    size="small"
+                    placeholder="Search subscriptions"
+                    value={filters.query}
+                    onChange={(e) => set({ query: e.target.value })}
+                    fullWidth
+                    inputProps={{ "aria-label": "Search subscriptions" }}
+                    InputProps={{
+                        startAdornment: (
+                            <InputAdornment position="start">
+                                <SearchRoundedIcon sx={{ fontSize: 18, color: "#94a3b8" }} />
+                            </InputAdornment>
+                        ),
+                        sx: { borderRadius: "10px", fontSize: 14 },
+                    }}
+                />
+                <TextField
+                    select
+                    size="small"
+                    value={sort}
+                    onChange={(e) => onSortChange(e.target.value)}
+                    inputProps={{ "aria-label": "Sort by" }}
+                    InputProps={{
+                        startAdornment: (
+                            <InputAdornment position="start">
+                                <SortRoundedIcon sx={{ fontSize: 18, color: "#94a3b8" }} />
+                            </InputAdornment>
+                        ),
+                        sx: { borderRadius: "10px", fontSize: 14 },
+                    }}
+                    sx={{ minWidth: { xs: "100%", sm: 190 } }}
+                >
+                    {SORT_OPTIONS.map((o) => (
+                        <MenuItem key={o.value} value={o.value} sx={{ fontSize: 14 }}>
+                            {o.label}
+                        </MenuItem>
+                    ))}
+                </TextField>
+            </Box>
+
+            {/* Filter chips */}
+            <ChipRow label="Risk">
+                {RISK_CHIPS.map((r) => (
+                    <FilterChip
+                        key={r.value}
+                        label={r.label}
+                        palette={r}
+                        selected={filters.risks.includes(r.value)}
+                        onClick={() => set({ risks: toggle(filters.risks, r.value) })}
+                    />
+                ))}
+            </ChipRow>
+            {options.frequencies.length > 1 && (
+                <ChipRow label="Frequency">
+                    {options.frequencies.map((f) => (
+                        <FilterChip
+                            key={f}
+                            label={frequencyLabel(f)}
+                            selected={filters.frequencies.includes(f)}
+                            onClick={() => set({ frequencies: toggle(filters.frequencies, f) })}
+                        />
+                    ))}
+                </ChipRow>
+            )}
+            {options.categories.length > 1 && (
+                <ChipRow label="Category">
+                    {options.categories.map((c) => (
+                        <FilterChip
+                            key={c}
+                            label={categoryLabel(c)}
+                            selected={filters.categories.includes(c)}
+                            onClick={() => set({ categories: toggle(filters.categories, c) })}
+                        />
+                    ))}
+                </ChipRow>
+            )}
+
+            {options.accounts.length > 1 && (
+                <>
+                    <ChipRow label="Account">
+                        {options.accounts.map((a) => (
+                            <FilterChip
+                                key={a.value}
+                                label={a.label}
+                                selected={filters.accounts.includes(a.value)}
+                                onClick={() => set({ accounts: toggle(filters.accounts, a.value) })}
+                            />
+                        ))}
+                    </ChipRow>
+                    <FormControlLabel
+                        control={<Switch size="small" checked={grouped} onChange={(e) => onGroupedChange(e.target.checked)} />}
+                        label="Group by account"
+                        sx={{ ml: 0, "& .MuiFormControlLabel-label": { fontSize: 13, fontWeight: 600, color: "#475569" } }}
+                    />
+                </>
+            )}
+
+            {options.hasDispositions && (
+                <ChipRow label="Your mark">
+                    {[...DISPOSITIONS, { value: UNMARKED, label: "Unmarked" }].map((d) => (
+                        <FilterChip
+                            key={d.value}
+                            label={d.label}
+                            palette={d.bg ? d : undefined}
+                            selected={filters.dispositions.includes(d.value)}
+                            onClick={() => set({ dispositions: toggle(filters.dispositions, d.value) })}
+                        />
+                    ))}
+                </ChipRow>
+            )}
+
+            {active && (
+                <Box sx={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 1 }}>
+                    <Typography sx={{ fontSize: 12.5, color: "#64748b", fontWeight: 500 }}>
+                        Showing {shown} of {total}
+                    </Typography>
+                    <Button
+                        size="small"
+                        onClick={() => onFiltersChange(EMPTY_FILTERS)}
+                        sx={{ textTransform: "none", fontWeight: 700, color: "#1d4ed8" }}
+                    >
+                        Clear filters
+                    </Button>
+                </Box>
+            )}
+        </Box>
+    );
+}
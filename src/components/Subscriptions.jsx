@@ -12,24 +12,54 @@ import RepeatRoundedIcon from "@mui/icons-material/RepeatRounded";
 import ReportProblemRoundedIcon from "@mui/icons-material/ReportProblemRounded";
 import InfoOutlinedIcon from "@mui/icons-material/InfoOutlined";
 import CheckCircleRoundedIcon from "@mui/icons-material/CheckCircleRounded";
+import HelpOutlineRoundedIcon from "@mui/icons-material/HelpOutlineRounded";
+import TrendingUpRoundedIcon from "@mui/icons-material/TrendingUpRounded";
+import SubscriptionToolbar from "./SubscriptionToolbar.jsx";
+import SubscriptionDetailDrawer from "./SubscriptionDetailDrawer.jsx";
+import UpcomingCharges from "./UpcomingCharges.jsx";
+import RecurringIncome from "./RecurringIncome.jsx";
+import RecentlyEnded from "./RecentlyEnded.jsx";
+import CategoryBreakdown from "./CategoryBreakdown.jsx";
+import MerchantAvatar from "./MerchantAvatar.jsx";
+import CancellationDialog from "./CancellationDialog.jsx";
+import Link from "@mui/material/Link";
+import ToggleButton from "@mui/material/ToggleButton";
+import ToggleButtonGroup from "@mui/material/ToggleButtonGroup";
+import ViewListRoundedIcon from "@mui/icons-material/ViewListRounded";
+import CalendarMonthRoundedIcon from "@mui/icons-material/CalendarMonthRounded";
+import AccountBalanceWalletRoundedIcon from "@mui/icons-material/AccountBalanceWalletRounded";
+import AccountBalanceRoundedIcon from "@mui/icons-material/AccountBalanceRounded";
+import Button from "@mui/material/Button";
+import Menu from "@mui/material/Menu";
+import MenuItem from "@mui/material/MenuItem";
+import ListItemIcon from "@mui/material/ListItemIcon";
+import ListItemText from "@mui/material/ListItemText";
+import FileDownloadRoundedIcon from "@mui/icons-material/FileDownloadRounded";
+import TableChartRoundedIcon from "@mui/icons-material/TableChartRounded";
+import DataObjectRoundedIcon from "@mui/icons-material/DataObjectRounded";
+import EventRepeatRoundedIcon from "@mui/icons-material/EventRepeatRounded";
+import ContentCutRoundedIcon from "@mui/icons-material/ContentCutRounded";
+import { formatISODate } from "../utils/dates.js";
+import { dispositionConfig, withDispositions } from "../utils/dispositions.js";
+import { isPriceIncrease, summarizeSpend, websiteHost } from "../utils/recurring-data-formatter.js";
+import { downloadFile, exportFilename, toCSV, toICS, toJSON } from "../utils/subscription-export.js";
+import { frequencyLabel, toUSD } from "../utils/format.js";
+import {
+    DEFAULT_SORT,
+    EMPTY_FILTERS,
+    accountLabelOf,
+    filterItems,
+    filterOptions,
+    groupByAccount,
+    riskKeyOf,
+    sortItems,
+} from "../utils/subscription-filters.js";
 
 /* --------------------------------------------------------------------------
  * Helpers
  * ------------------------------------------------------------------------*/
 
-const toUSD = (n) =>
-    Math.abs(Number(n ?? 0)).toLocaleString("en-US", {
-        style: "currency",
-        currency: "USD",
-        minimumFractionDigits: 2,
-    });
-
-const freqText = (f = "") => (f ? f[0] + f.slice(1).toLowerCase() : "Unknown");
-
-const fmtDate = (iso) =>
-    iso
-        ? new Date(iso).toLocaleString("en-US", { month: "short", day: "numeric" })
-        : "—";
+const fmtDate = (iso) => formatISODate(iso);
 
 /* --------------------------------------------------------------------------
  * Risk config
@@ -77,11 +107,18 @@ const NONE_BADGE = {
     textColor: "#166534",
 };
 
+// Badge config for an item: a RISK entry, NONE_BADGE, or null (no risk data).
+const riskBadge = (item) => {
+    const riskKey = item?.risk ? item.risk.toLowerCase() : null;
+    const config = riskKey && riskKey !== "none" ? RISK[riskKey] : null;
+    return config || (riskKey === "none" ? NONE_BADGE : null);
+};
+
 /* --------------------------------------------------------------------------
  * StatCard
  * ------------------------------------------------------------------------*/
 
-function StatCard({ icon, label, value, accent }) {
+function StatCard({ icon, label, value, accent, hint }) {
     return (
         <Box
             sx={{
@@ -119,6 +156,11 @@ function StatCard({ icon, label, value, accent }) {
                 <Typography sx={{ fontSize: 11, color: "#94a3b8", fontWeight: 500, mt: 0.15 }}>
                     {label}
                 </Typography>
+                {hint && (
+                    <Typography sx={{ fontSize: 11, color: "#64748b", fontWeight: 600, mt: 0.15 }}>
+                        {hint}
+                    </Typography>
+                )}
             </Box>
         </Box>
     );
@@ -128,14 +170,32 @@ function StatCard({ icon, label, value, accent }) {
  * SubscriptionCard
  * ------------------------------------------------------------------------*/
 
-function SubscriptionCard({ item }) {
-    const riskKey = item?.risk ? item.risk.toLowerCase() : null;
-    const config = riskKey && riskKey !== "none" ? RISK[riskKey] : null;
-    const badge = config || (riskKey === "none" ? NONE_BADGE : null);
+function SubscriptionCard({ item, onOpen, onHowToCancel }) {
+    const badge = riskBadge(item);
+    const mark = dispositionConfig(item?.disposition);
+    const priceUp = isPriceIncrease(item);
+    // Only labelled once the Worker knows the bank/account — a bare account_id
+    // on every card would be noise.
+    const source = item?.institution_name || item?.account_name || item?.account_mask
+        ? accountLabelOf(item)
+        : null;
+    const host = websiteHost(item?.website);
 
     return (
         <Box
+            // Whole card opens the detail drawer (tap-friendly inside Glide).
+            role="button"
+            tabIndex={0}
+            aria-label={`${item?.description || "Subscription"} details`}
+            onClick={onOpen}
+            onKeyDown={(e) => {
+                if (e.key === "Enter" || e.key === " ") {
+                    e.preventDefault();
+                    onOpen?.();
+                }
+            }}
             sx={{
+                cursor: "pointer",
                 display: "flex",
                 alignItems: "stretch",
                 borderRadius: 2,
@@ -158,51 +218,89 @@ function SubscriptionCard({ item }) {
                     ].join(", "),
                     transform: "translateY(-1px)",
                 },
+                "&:focus-visible": { outline: "2px solid #1d4ed8", outlineOffset: 2 },
             }}
         >
-            <Box sx={{ flex: 1, px: { xs: 1.5, sm: 2.5 }, py: 2 }}>
-                {/* Risk chip + hover hint */}
-                {badge && (
-                    <Box sx={{ display: "flex", alignItems: "center", gap: 1.25, mb: 1 }}>
-                        <Tooltip
-                            title={item?.risk_reason || ""}
-                            placement="top"
-                            arrow
-                            enterDelay={100}
-                            slotProps={{
-                                tooltip: {
-                                    sx: {
-                                        bgcolor: "#0f172a",
-                                        color: "#f1f5f9",
-                                        fontSize: 12,
-                                        fontWeight: 400,
-                                        maxWidth: 320,
-                                        lineHeight: 1.65,
-                                        borderRadius: "10px",
-                                        p: 1.5,
-                                        boxShadow: "0 8px 24px rgba(15,23,42,0.25)",
+            <Box sx={{ pl: { xs: 1.5, sm: 2.5 }, pt: 2, flexShrink: 0 }}>
+                <MerchantAvatar item={item} />
+            </Box>
+            <Box sx={{ flex: 1, minWidth: 0, pl: 1.5, pr: { xs: 1.5, sm: 2.5 }, py: 2 }}>
+                {/* Risk chip + hover hint, price increase, then the user's own mark */}
+                {(badge || priceUp || mark) && (
+                    <Box sx={{ display: "flex", alignItems: "center", flexWrap: "wrap", gap: 1, mb: 1 }}>
+                        {badge && (
+                            <Tooltip
+                                title={item?.risk_reason || ""}
+                                placement="top"
+                                arrow
+                                enterDelay={100}
+                                slotProps={{
+                                    tooltip: {
+                                        sx: {
+                                            bgcolor: "#0f172a",
+                                            color: "#f1f5f9",
+                                            fontSize: 12,
+                                            fontWeight: 400,
+                                            maxWidth: 320,
+                                            lineHeight: 1.65,
+                                            borderRadius: "10px",
+                                            p: 1.5,
+                                            boxShadow: "0 8px 24px rgba(15,23,42,0.25)",
+                                        },
                                     },
-                                },
-                                arrow: { sx: { color: "#0f172a" } },
-                            }}
-                        >
+                                    arrow: { sx: { color: "#0f172a" } },
+                                }}
+                            >
+                                <Chip
+                                    icon={badge.icon}
+                                    label={badge.label}
+                                    size="small"
+                                    variant="filled"
+                                    sx={{
+                                        height: 22,
+                                        fontSize: 10,
+                                        fontWeight: 800,
+                                        letterSpacing: 0.6,
+                                        borderRadius: "6px",
+                                        "& .MuiChip-icon": { fontSize: "13px !important", color: "inherit" },
+                                        ...badge.chipSx,
+                                    }}
+                                />
+                            </Tooltip>
+                        )}
+                        {priceUp && (
                             <Chip
-                                icon={badge.icon}
-                                label={badge.label}
+                                icon={<TrendingUpRoundedIcon />}
+                                label="Price went up"
                                 size="small"
-                                variant="filled"
                                 sx={{
                                     height: 22,
-                                    fontSize: 10,
-                                    fontWeight: 800,
-                                    letterSpacing: 0.6,
+                                    fontSize: 11,
+                                    fontWeight: 700,
                                     borderRadius: "6px",
-                                    cursor: "help",
-                                    "& .MuiChip-icon": { fontSize: "13px !important", color: "inherit" },
-                                    ...badge.chipSx,
+                                    color: "#b91c1c",
+                                    bgcolor: "#fef2f2",
+                                    border: "1px solid #fca5a5",
+                                    "& .MuiChip-icon": { fontSize: "14px !important", color: "inherit" },
                                 }}
                             />
-                        </Tooltip>
+                        )}
+                        {mark && (
+                            <Chip
+                                label={mark.label}
+                                size="small"
+                                variant="outlined"
+                                sx={{
+                                    height: 22,
+                                    fontSize: 11,
+                                    fontWeight: 700,
+                                    borderRadius: "6px",
+                                    color: mark.color,
+                                    borderColor: mark.border,
+                                    bgcolor: mark.bg,
+                                }}
+                            />
+                        )}
                     </Box>
                 )}
 
@@ -233,15 +331,181 @@ function SubscriptionCard({ item }) {
                     </Typography>
                 </Box>
 
-                {/* Frequency · Next date */}
-                <Typography variant="body2" sx={{ color: "#94a3b8", mt: 0.4, fontSize: 13, fontWeight: 500 }}>
-                    {freqText(item?.frequency)}&nbsp;·&nbsp;Next:&nbsp;{fmtDate(item?.predicted_next_date)}
-                </Typography>
+                {/* Frequency · Next date, and the way out */}
+                <Box sx={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 1, mt: 0.4 }}>
+                    <Typography variant="body2" sx={{ color: "#94a3b8", fontSize: 13, fontWeight: 500, minWidth: 0 }}>
+                        {frequencyLabel(item?.frequency)}&nbsp;·&nbsp;Next:&nbsp;{fmtDate(item?.predicted_next_date)}
+                        {host && (
+                            <>
+                                &nbsp;·&nbsp;
+                                <Link
+                                    href={item.website}
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                    underline="hover"
+                                    // The card itself is a button — keep the link from also opening the drawer.
+                                    onClick={(e) => e.stopPropagation()}
+                                    onKeyDown={(e) => e.stopPropagation()}
+                                    sx={{ color: "#1d4ed8", fontWeight: 600 }}
+                                >
+                                    {host}
+                                </Link>
+                            </>
+                        )}
+                    </Typography>
+                    {onHowToCancel && (
+                        <Button
+                            size="small"
+                            startIcon={<ContentCutRoundedIcon sx={{ fontSize: "14px !important" }} />}
+                            // Opens the cancellation dialog, not the drawer behind it.
+                            onClick={(e) => {
+                                e.stopPropagation();
+                                onHowToCancel();
+                            }}
+                            onKeyDown={(e) => e.stopPropagation()}
+                            sx={{
+                                flexShrink: 0,
+                                py: 0,
+                                minHeight: 0,
+                                // Same line height as the text beside it, so cards keep CARD_ROW.
+                                lineHeight: 1.5,
+                                textTransform: "none",
+                                fontSize: 12,
+                                fontWeight: 700,
+                                borderRadius: "8px",
+                                color: "#64748b",
+                                "&:hover": { color: "#b91c1c", bgcolor: "#fef2f2" },
+                            }}
+                        >
+                            How to cancel
+                        </Button>
+                    )}
+                </Box>
+
+                {/* Linked bank / account */}
+                {source && (
+                    <Typography
+                        sx={{
+                            display: "flex",
+                            alignItems: "center",
+                            gap: 0.5,
+                            color: "#64748b",
+                            mt: 0.4,
+                            fontSize: 12,
+                            fontWeight: 600,
+                        }}
+                    >
+                        <AccountBalanceRoundedIcon sx={{ fontSize: 13, color: "#94a3b8" }} />
+                        {source}
+                    </Typography>
+                )}
             </Box>
         </Box>
     );
 }
 
+/* --------------------------------------------------------------------------
+ * AccountHeader
+ * ------------------------------------------------------------------------*/
+
+// Section header for the grouped list: which account, how many, how much.
+function AccountHeader({ group }) {
+    return (
+        <Box
+            sx={{
+                display: "flex",
+                justifyContent: "space-between",
+                alignItems: "baseline",
+                gap: 1,
+                px: 0.5,
+                pt: 1.25,
+                pb: 0.5,
+            }}
+        >
+            <Typography sx={{ fontSize: 12, fontWeight: 800, color: "#64748b", textTransform: "uppercase", letterSpacing: "0.06em", minWidth: 0 }}>
+                {group.label}
+                <Box component="span" sx={{ color: "#94a3b8", ml: 1 }}>· {group.count}</Box>
+            </Typography>
+            <Typography sx={{ fontSize: 13, fontWeight: 800, color: "#0f172a", flexShrink: 0 }}>
+                {toUSD(group.monthly)}/mo
+            </Typography>
+        </Box>
+    );
+}
+
+/* --------------------------------------------------------------------------
+ * Export menu
+ * ------------------------------------------------------------------------*/
+
+const EXPORT_FORMATS = [
+    {
+        ext: "csv",
+        label: "Spreadsheet (CSV)",
+        hint: "Opens in Excel, Numbers or Google Sheets",
+        icon: <TableChartRoundedIcon fontSize="small" />,
+        // BOM so Excel reads the file as UTF-8 (merchant names with accents).
+        build: (items) => ["\uFEFF" + toCSV(items), "text/csv;charset=utf-8"],
+    },
+    {
+        ext: "ics",
+        label: "Calendar (ICS)",
+        hint: "Upcoming charges as repeating events",
+        icon: <EventRepeatRoundedIcon fontSize="small" />,
+        build: (items) => [toICS(items), "text/calendar;charset=utf-8"],
+    },
+    {
+        ext: "json",
+        label: "Raw data (JSON)",
+        hint: "Every field, as the app sees it",
+        icon: <DataObjectRoundedIcon fontSize="small" />,
+        build: (items) => [toJSON(items), "application/json"],
+    },
+];
+
+// Exports exactly what the list shows — filters and search included.
+function ExportMenu({ items }) {
+    const [anchor, setAnchor] = React.useState(null);
+
+    const handleExport = (format) => {
+        setAnchor(null);
+        const [content, type] = format.build(items);
+        downloadFile(exportFilename(format.ext), content, type);
+    };
+
+    return (
+        <>
+            <Button
+                size="small"
+                onClick={(e) => setAnchor(e.currentTarget)}
+                disabled={items.length === 0}
+                startIcon={<FileDownloadRoundedIcon />}
+                aria-haspopup="menu"
+                sx={{ textTransform: "none", fontWeight: 700, borderRadius: "10px", color: "#1d4ed8" }}
+            >
+                Export
+            </Button>
+            <Menu anchorEl={anchor} open={Boolean(anchor)} onClose={() => setAnchor(null)}>
+                <Typography sx={{ px: 2, pt: 0.5, pb: 1, fontSize: 12, color: "#64748b" }}>
+                    {items.length} {items.length === 1 ? "subscription" : "subscriptions"} as shown
+                </Typography>
+                {EXPORT_FORMATS.map((format) => (
+                    <MenuItem key={format.ext} onClick={() => handleExport(format)}>
+                        <ListItemIcon>{format.icon}</ListItemIcon>
+                        <ListItemText
+                            primary={format.label}
+                            secondary={format.hint}
+                            slotProps={{
+                                primary: { sx: { fontSize: 14, fontWeight: 600 } },
+                                secondary: { sx: { fontSize: 12 } },
+                            }}
+                        />
+                    </MenuItem>
+                ))}
+            </Menu>
+        </>
+    );
+}
+
 /* --------------------------------------------------------------------------
  * Main component
  * ------------------------------------------------------------------------*/
@@ -255,41 +519,97 @@ const VISIBLE_CARDS = 5;
 // frequency inside 16px padding ≈ 106px) plus its 12px wrapper gap and ~1px divider.
 // Every item carries a risk badge (risk defaults to "none"), so cards are near-uniform
 // and this stays stable. Bump slightly if card content grows (e.g. two-line names).
-const CARD_ROW = 120;      // px per card row
+// +18px for the linked bank/account line, which every card has once the Worker labels streams.
+const CARD_ROW = 138;      // px per card row
 const LIST_V_PADDING = 24; // Stack py:1.5 => 12px top + 12px bottom
-const LIST_HEIGHT = VISIBLE_CARDS * CARD_ROW + LIST_V_PADDING; // ≈ 624px → five cards
+const LIST_HEIGHT = VISIBLE_CARDS * CARD_ROW + LIST_V_PADDING; // ≈ 714px → five cards
 
-export default function Subscriptions({ items = [] }) {
-    const totalMonthly = items.reduce(
-        (sum, item) => sum + Math.abs(Number(item?.average_amount?.amount ?? 0)),
-        0
+// List header title per view.
+const VIEW_TITLES = {
+    list: "Subscription List",
+    upcoming: "Upcoming Charges",
+    income: "Recurring Income",
+};
+
+export default function Subscriptions({
+    items = [],
+    income = [],
+    ended = [],
+    dispositions = {},
+    onDispositionChange,
+}) {
+    const [filters, setFilters] = React.useState(EMPTY_FILTERS);
+    const [sort, setSort] = React.useState(DEFAULT_SORT);
+    const [grouped, setGrouped] = React.useState(false);
+    // Selected item outlives `drawerOpen` so the drawer keeps its content while sliding shut.
+    const [selected, setSelected] = React.useState(null);
+    const [drawerOpen, setDrawerOpen] = React.useState(false);
+    // Item whose "How to cancel" dialog is open (kept while it fades out, like `selected`).
+    const [cancelItem, setCancelItem] = React.useState(null);
+    const [cancelOpen, setCancelOpen] = React.useState(false);
+    const openCancel = (item) => {
+        setCancelItem(item);
+        setCancelOpen(true);
+    };
+    // "list" (cards), "upcoming" (projected charges timeline) or "income" (inflows).
+    const [view, setView] = React.useState("list");
+    // Items with the user's keep / cancel / not-mine marks merged in.
+    const marked = React.useMemo(() => withDispositions(items, dispositions), [items, dispositions]);
+    const options = React.useMemo(
+        () => ({ ...filterOptions(items), hasDispositions: Boolean(onDispositionChange) }),
+        [items, onDispositionChange]
+    );
+    // Everything below — stat cards, legend and list — describes this subset.
+    const visible = React.useMemo(
+        () => sortItems(filterItems(marked, filters), sort),
+        [marked, filters, sort]
+    );
+
+    // Breakdown input: every filter but the category one, so picking a
+    // category leaves the others on screen to switch to.
+    const categoryScope = React.useMemo(
+        () => filterItems(marked, { ...filters, categories: [] }),
+        [marked, filters]
+    );
+
+    // Grouping only means something with more than one account in play.
+    const groups = React.useMemo(
+        () => (grouped && options.accounts.length > 1 ? groupByAccount(visible) : null),
+        [grouped, options.accounts.length, visible]
     );
-    const flaggedCount = items.filter((item) => {
-        const key = item?.risk ? item.risk.toLowerCase() : null;
-        return key && key !== "none" && RISK[key];
-    }).length;
-    // Any item with an explanation → show the single "hover badge" hint in the
-    // list header (instead of repeating it on every card).
-    const anyRiskReason = items.some((item) => item?.risk_reason);
+
+    // Frequency-normalized totals: a $120/yr stream counts as $10/mo, a $5/wk
+    // stream as ~$21.67/mo. Unknown-frequency items are kept out of the totals.
+    const spend = summarizeSpend(visible);
+    // Same classification as the Risk filter chips.
+    const flaggedCount = visible.filter((item) => riskKeyOf(item) !== "none").length;
+    const priceUpCount = visible.filter(isPriceIncrease).length;
+    // Any item with an explanation → show the single "tap for details" hint in
+    // the list header (instead of repeating it on every card).
+    const anyRiskReason = visible.some((item) => item?.risk_reason);
 
     return (
         <Box sx={{ width: "100%", px: { xs: 0.5, sm: 1 }, pt: 1, pb: 4, flex: 1, minHeight: 0, display: "flex", flexDirection: "column" }}>
-            {items.length === 0 ? (
-                <Box
-                    sx={{
-                        textAlign: "center",
-                        bgcolor: "#fff",
-                        border: "1px solid #e2e8f0",
-                        borderRadius: 3,
-                        py: 8,
-                        px: 3,
-                        boxShadow: "0 1px 3px rgba(15,23,42,0.06)",
-                    }}
-                >
-                    <Typography sx={{ color: "#94a3b8", fontWeight: 500 }}>
-                        No subscriptions found.
-                    </Typography>
-                </Box>
+            {/* Inflows alone still need the list (its income view); ended streams
+                alone only need their own section below. */}
+            {items.length === 0 && income.length === 0 ? (
+                ended.length === 0 && (
+                    <Box
+                        sx={{
+                            textAlign: "center",
+                            bgcolor: "#fff",
+                            border: "1px solid #e2e8f0",
+                            borderRadius: 3,
+                            py: 8,
+                            px: 3,
+                            boxShadow: "0 1px 3px rgba(15,23,42,0.06)",
+                        }}
+                    >
+                        <Typography sx={{ color: "#94a3b8", fontWeight: 500 }}>
+                            No subscriptions found.
+                        </Typography>
+                    </Box>
+                )
             ) : (
                 <>
                     {/* ── Summary stat cards ── */}
@@ -304,13 +624,15 @@ export default function Subscriptions({ items = [] }) {
                         <StatCard
                             icon={<PaidRoundedIcon />}
                             label="Monthly spend"
-                            value={toUSD(totalMonthly)}
+                            value={toUSD(spend.monthly)}
+                            hint={`${toUSD(spend.yearly)} / year`}
                             accent="#1d4ed8"
                         />
                         <StatCard
                             icon={<RepeatRoundedIcon />}
                             label="Active subscriptions"
-                            value={items.length}
+                            value={visible.length}
+                            hint={visible.length !== items.length ? `of ${items.length} total` : undefined}
                             accent="#0891b2"
                         />
                         {flaggedCount > 0 && (
@@ -321,8 +643,42 @@ export default function Subscriptions({ items = [] }) {
                                 accent="#ef4444"
                             />
                         )}
+                        {priceUpCount > 0 && (
+                            <StatCard
+                                icon={<TrendingUpRoundedIcon />}
+                                label="Price went up"
+                                value={priceUpCount}
+                                accent="#b91c1c"
+                            />
+                        )}
                     </Box>
 
+                    {/* ── Unknown-frequency callout ── */}
+                    {spend.unknownCount > 0 && (
+                        <Box
+                            sx={{
+                                display: "flex",
+                                alignItems: "center",
+                                gap: 1,
+                                bgcolor: "#f8fafc",
+                                border: "1px solid #e2e8f0",
+                                borderRadius: 2,
+                                px: 2,
+                                py: 1.25,
+                                mb: 2,
+                            }}
+                        >
+                            <HelpOutlineRoundedIcon sx={{ fontSize: 16, color: "#64748b", flexShrink: 0 }} />
+                            <Typography sx={{ fontSize: 13, color: "#475569", lineHeight: 1.5 }}>
+                                <Box component="span" sx={{ fontWeight: 700 }}>
+                                    {spend.unknownCount} {spend.unknownCount === 1 ? "charge" : "charges"}
+                                </Box>
+                                {" "}({toUSD(spend.unknownAmount)} {spend.unknownCount === 1 ? "per charge" : "combined per charge"}) {spend.unknownCount === 1 ? "has" : "have"} an
+                                irregular schedule and {spend.unknownCount === 1 ? "isn't" : "aren't"} included in the totals above.
+                            </Typography>
+                        </Box>
+                    )}
+
                     {/* ── Risk legend ── */}
                     {flaggedCount > 0 && (
                         <Box
@@ -348,6 +704,26 @@ export default function Subscriptions({ items = [] }) {
                         </Box>
                     )}
 
+                    {/* ── Spend by category (tap to filter) ── */}
+                    <CategoryBreakdown
+                        items={categoryScope}
+                        selected={filters.categories}
+                        onSelect={(categories) => setFilters((f) => ({ ...f, categories }))}
+                    />
+
+                    {/* ── Search / filter / sort ── */}
+                    <SubscriptionToolbar
+                        filters={filters}
+                        onFiltersChange={setFilters}
+                        sort={sort}
+                        onSortChange={setSort}
+                        grouped={grouped}
+                        onGroupedChange={setGrouped}
+                        options={options}
+                        shown={visible.length}
+                        total={items.length}
+                    />
+
                     {/* ── Card list ── */}
                     <Box
                         sx={{
@@ -377,9 +753,9 @@ export default function Subscriptions({ items = [] }) {
                             }}
                         >
                             <Typography sx={{ fontWeight: 700, fontSize: 15, color: "#0f172a" }}>
-                                Subscription List
+                                {VIEW_TITLES[view]}
                             </Typography>
-                            {anyRiskReason && (
+                            {view === "list" && anyRiskReason && (
                                 <Box
                                     sx={{
                                         display: "flex",
@@ -394,10 +770,30 @@ export default function Subscriptions({ items = [] }) {
                                 >
                                     <InfoOutlinedIcon sx={{ fontSize: 15, color: "#1d4ed8" }} />
                                     <Typography sx={{ fontSize: 12.5, color: "#64748b", fontWeight: 600, fontStyle: "italic", lineHeight: 1, whiteSpace: "nowrap" }}>
-                                        Hover badge for explanation
+                                        Tap a subscription for details
                                     </Typography>
                                 </Box>
                             )}
+                            <Box sx={{ ml: "auto" }}>
+                                <ExportMenu items={visible} />
+                            </Box>
+                            <ToggleButtonGroup
+                                size="small"
+                                exclusive
+                                value={view}
+                                onChange={(_, v) => v && setView(v)}
+                                aria-label="View"
+                            >
+                                <ToggleButton value="list" aria-label="List view" sx={{ px: 1, py: 0.25 }}>
+                                    <ViewListRoundedIcon sx={{ fontSize: 18 }} />
+                                </ToggleButton>
+                                <ToggleButton value="upcoming" aria-label="Upcoming charges view" sx={{ px: 1, py: 0.25 }}>
+                                    <CalendarMonthRoundedIcon sx={{ fontSize: 18 }} />
+                                </ToggleButton>
+                                <ToggleButton value="income" aria-label="Recurring income view" sx={{ px: 1, py: 0.25 }}>
+                                    <AccountBalanceWalletRoundedIcon sx={{ fontSize: 18 }} />
+                                </ToggleButton>
+                            </ToggleButtonGroup>
                         </Box>
 
                         {/* Scrollable list — fills the fixed card height */}
@@ -423,13 +819,38 @@ export default function Subscriptions({ items = [] }) {
                                 "&::-webkit-scrollbar-track": { backgroundColor: "transparent" },
                             }}
                         >
-                            {items.map((item, idx) => {
+                            {view === "upcoming" && <UpcomingCharges items={visible} />}
+                            {view === "income" && <RecurringIncome income={income} spendItems={items} />}
+                            {view === "list" && visible.length === 0 && (
+                                <Typography sx={{ color: "#94a3b8", fontWeight: 500, textAlign: "center", py: 6 }}>
+                                    {items.length === 0 ? "No subscriptions found." : "No subscriptions match your filters."}
+                                </Typography>
+                            )}
+                            {view === "list" && groups && groups.map((group) => (
+                                <Box key={group.account_id}>
+                                    <AccountHeader group={group} />
+                                    {group.items.map((item, idx) => (
+                                        <Box key={`${item.stream_id ?? item.description}|${idx}`} sx={{ py: 0.75 }}>
+                                            <SubscriptionCard
+                                                item={item}
+                                                onOpen={() => { setSelected(item); setDrawerOpen(true); }}
+                                                onHowToCancel={() => openCancel(item)}
+                                            />
+                                        </Box>
+                                    ))}
+                                </Box>
+                            ))}
+                            {view === "list" && !groups && visible.map((item, idx) => {
                                 const key = item?.account_id
                                     ? `${item.account_id}|${item.description}|${idx}`
                                     : `${idx}`;
                                 return (
                                     <Box key={key} sx={{ py: 0.75 }}>
-                                        <SubscriptionCard item={item} />
+                                        <SubscriptionCard
+                                            item={item}
+                                            onOpen={() => { setSelected(item); setDrawerOpen(true); }}
+                                            onHowToCancel={() => openCancel(item)}
+                                        />
                                     </Box>
                                 );
                             })}
@@ -452,8 +873,23 @@ export default function Subscriptions({ items = [] }) {
                             </Typography>
                         </Box>
                     </Box>
+
+                    <SubscriptionDetailDrawer
+                        // Re-read from `marked` so a mark set in the drawer shows immediately.
+                        item={marked.find((i) => i.stream_id && i.stream_id === selected?.stream_id) ?? selected}
+                        badge={riskBadge(selected)}
+                        onDispositionChange={onDispositionChange}
+                        onHowToCancel={openCancel}
+                        open={drawerOpen}
+                        onClose={() => setDrawerOpen(false)}
+                    />
+
+                    <CancellationDialog item={cancelItem} open={cancelOpen} onClose={() => setCancelOpen(false)} />
                 </>
             )}
+
+            {/* ── Cancelled / retired streams ── */}
+            <RecentlyEnded items={ended} />
         </Box>
     );
 }
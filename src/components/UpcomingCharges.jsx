@@ -0,0 +1,170 @@
+import * as React from "react";
+import Box from "@mui/material/Box";
+import Chip from "@mui/material/Chip";
+import Typography from "@mui/material/Typography";
+import ToggleButton from "@mui/material/ToggleButton";
+import ToggleButtonGroup from "@mui/material/ToggleButtonGroup";
+import EventRoundedIcon from "@mui/icons-material/EventRounded";
+import { PROJECTION_WINDOWS, groupByDay, groupByWeek, projectCharges } from "../utils/charge-projection.js";
+import { formatISODate } from "../utils/dates.js";
+import { toUSD } from "../utils/format.js";
+
+/* --------------------------------------------------------------------------
+ * Helpers
+ * ------------------------------------------------------------------------*/
+
+// A day with this many charges or more is a "cluster" worth calling out.
+const CLUSTER_MIN = 2;
+
+/* --------------------------------------------------------------------------
+ * Day row
+ * ------------------------------------------------------------------------*/
+
+function DayRow({ day }) {
+    const clustered = day.charges.length >= CLUSTER_MIN;
+    return (
+        <Box
+            sx={{
+                display: "flex",
+                gap: 1.5,
+                px: 1.5,
+                py: 1,
+                borderRadius: 2,
+                bgcolor: clustered ? "#fffbeb" : "transparent",
+                border: "1px solid",
+                borderColor: clustered ? "#fde68a" : "transparent",
+            }}
+        >
+            {/* Date block */}
+            <Box sx={{ width: 44, flexShrink: 0, textAlign: "center" }}>
+                <Typography sx={{ fontSize: 10.5, fontWeight: 700, color: "#94a3b8", textTransform: "uppercase" }}>
+                    {formatISODate(day.date, { weekday: "short" })}
+                </Typography>
+                <Typography sx={{ fontSize: 15, fontWeight: 800, color: "#0f172a", lineHeight: 1.2 }}>
+                    {formatISODate(day.date, { day: "numeric" })}
+                </Typography>
+            </Box>
+
+            {/* Charges */}
+            <Box sx={{ flex: 1, minWidth: 0 }}>
+                {day.charges.map((c, idx) => (
+                    <Box
+                        key={`${c.item?.stream_id ?? c.item?.description}|${idx}`}
+                        sx={{ display: "flex", justifyContent: "space-between", gap: 1, py: 0.25 }}
+                    >
+                        <Typography sx={{ fontSize: 13, color: "#334155", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                            {c.item?.description || "Subscription"}
+                        </Typography>
+                        <Typography sx={{ fontSize: 13, color: "#334155", fontWeight: 600, flexShrink: 0 }}>
+                            {toUSD(c.amount)}
+                        </Typography>
+                    </Box>
+                ))}
+                {clustered && (
+                    <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "center", mt: 0.5 }}>
+                        <Chip
+                            label={`${day.charges.length} charges`}
+                            size="small"
+                            sx={{ height: 20, fontSize: 10.5, fontWeight: 800, color: "#92400e", bgcolor: "#fef3c7", borderRadius: "6px" }}
+                        />
+                        <Typography sx={{ fontSize: 13, fontWeight: 800, color: "#92400e" }}>
+                            {toUSD(day.total)}
+                        </Typography>
+                    </Box>
+                )}
+            </Box>
+        </Box>
+    );
+}
+
+/* --------------------------------------------------------------------------
+ * Main component
+ * ------------------------------------------------------------------------*/
+
+/**
+ * Timeline of projected charges for the next 30/60/90 days, grouped by week
+ * with weekly totals. Days where several charges land together are
+ * highlighted, and each week's bar is scaled to the heaviest week so the
+ * paydays that get hit hardest stand out at a glance.
+ */
+export default function UpcomingCharges({ items = [] }) {
+    const [days, setDays] = React.useState(PROJECTION_WINDOWS[0]);
+
+    const weeks = React.useMemo(
+        () => groupByWeek(groupByDay(projectCharges(items, { days }))),
+        [items, days]
+    );
+    const total = weeks.reduce((sum, w) => sum + w.total, 0);
+    const count = weeks.reduce((sum, w) => sum + w.count, 0);
+    const heaviest = Math.max(0, ...weeks.map((w) => w.total));
+
+    return (
+        <Box>
+            {/* Range + window total */}
+            <Box sx={{ display: "flex", alignItems: "center", justifyContent: "space-between", flexWrap: "wrap", gap: 1, mb: 1.5 }}>
+                <Typography sx={{ fontSize: 13, color: "#475569" }}>
+                    <Box component="span" sx={{ fontWeight: 800, color: "#0f172a" }}>{toUSD(total)}</Box>
+                    {" "}across {count} {count === 1 ? "charge" : "charges"} in the next {days} days
+                </Typography>
+                <ToggleButtonGroup
+                    size="small"
+                    exclusive
+                    value={days}
+                    onChange={(_, v) => v && setDays(v)}
+                    aria-label="Projection window"
+                >
+                    {PROJECTION_WINDOWS.map((d) => (
+                        <ToggleButton key={d} value={d} sx={{ px: 1.25, py: 0.25, fontSize: 12, fontWeight: 700, textTransform: "none" }}>
+                            {d} days
+                        </ToggleButton>
+                    ))}
+                </ToggleButtonGroup>
+            </Box>
+
+            {weeks.length === 0 && (
+                <Box sx={{ textAlign: "center", py: 6 }}>
+                    <EventRoundedIcon sx={{ fontSize: 28, color: "#cbd5e1" }} />
+                    <Typography sx={{ color: "#94a3b8", fontWeight: 500, mt: 1 }}>
+                        No charges expected in this window.
+                    </Typography>
+                </Box>
+            )}
+
+            {weeks.map((week) => {
+                const isHeaviest = weeks.length > 1 && week.total === heaviest;
+                return (
+                    <Box key={week.weekStart} sx={{ mb: 2 }}>
+                        {/* Week header with proportional total bar */}
+                        <Box sx={{ px: 0.5, mb: 0.75 }}>
+                            <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", gap: 1 }}>
+                                <Typography sx={{ fontSize: 12, fontWeight: 800, color: "#64748b", textTransform: "uppercase", letterSpacing: "0.06em" }}>
+                                    Week of {formatISODate(week.weekStart)}
+                                    {isHeaviest && (
+                                        <Box component="span" sx={{ color: "#b45309", ml: 1 }}>· Heaviest week</Box>
+                                    )}
+                                </Typography>
+                                <Typography sx={{ fontSize: 13, fontWeight: 800, color: "#0f172a", flexShrink: 0 }}>
+                                    {toUSD(week.total)}
+                                </Typography>
+                            </Box>
+                            <Box sx={{ height: 4, bgcolor: "#f1f5f9", borderRadius: 2, mt: 0.5, overflow: "hidden" }}>
+                                <Box
+                                    sx={{
+                                        height: "100%",
+                                        width: `${heaviest ? (week.total / heaviest) * 100 : 0}%`,
+                                        bgcolor: isHeaviest ? "#f59e0b" : "#93c5fd",
+                                        borderRadius: 2,
+                                    }}
+                                />
+                            </Box>
+                        </Box>
+
+                        {week.days.map((day) => (
+                            <DayRow key={day.date} day={day} />
+                        ))}
+                    </Box>
+                );
+            })}
+        </Box>
+    );
+}
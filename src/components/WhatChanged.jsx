@@ -0,0 +1,159 @@
+import * as React from "react";
+import Box from "@mui/material/Box";
+import Chip from "@mui/material/Chip";
+import Collapse from "@mui/material/Collapse";
+import ButtonBase from "@mui/material/ButtonBase";
+import Typography from "@mui/material/Typography";
+import ExpandMoreRoundedIcon from "@mui/icons-material/ExpandMoreRounded";
+import HistoryRoundedIcon from "@mui/icons-material/HistoryRounded";
+import { formatISODate, toISODate } from "../utils/dates.js";
+import { toUSD } from "../utils/format.js";
+
+/* --------------------------------------------------------------------------
+ * Helpers
+ * ------------------------------------------------------------------------*/
+
+const RISK_TEXT = {
+    likely_fraud: "Likely fraud",
+    likely_scam: "Likely scam",
+    worth_watching: "Worth watching",
+    none: "No flag",
+};
+
+// One colour per kind of change, used by the header chips and row markers.
+const KINDS = {
+    added: { label: "New", color: "#1d4ed8", bg: "#dbeafe" },
+    removed: { label: "Ended", color: "#475569", bg: "#f1f5f9" },
+    amounts: { label: "Price", color: "#b45309", bg: "#fef3c7" },
+    risks: { label: "Flag", color: "#b91c1c", bg: "#fee2e2" },
+};
+
+function ChangeRow({ kind, title, detail }) {
+    const k = KINDS[kind];
+    return (
+        <Box sx={{ display: "flex", alignItems: "baseline", gap: 1.25, py: 0.75 }}>
+            <Typography
+                sx={{
+                    flexShrink: 0,
+                    width: 48,
+                    fontSize: 10.5,
+                    fontWeight: 800,
+                    textTransform: "uppercase",
+                    letterSpacing: "0.05em",
+                    color: k.color,
+                }}
+            >
+                {k.label}
+            </Typography>
+            <Typography sx={{ flex: 1, minWidth: 0, fontSize: 13.5, fontWeight: 700, color: "#0f172a", wordBreak: "break-word" }}>
+                {title || "Subscription"}
+            </Typography>
+            <Typography sx={{ flexShrink: 0, fontSize: 12.5, fontWeight: 600, color: "#64748b", textAlign: "right" }}>
+                {detail}
+            </Typography>
+        </Box>
+    );
+}
+
+/* --------------------------------------------------------------------------
+ * Main component
+ * ------------------------------------------------------------------------*/
+
+/**
+ * "What changed" since the previous history snapshot (`changes` from
+ * diffRecurringItems, plus `since`: that snapshot's fetchedAt). Collapsed to
+ * a one-line summary by default; nothing renders when nothing changed.
+ */
+export default function WhatChanged({ changes }) {
+    const [open, setOpen] = React.useState(false);
+    if (!changes?.count) return null;
+
+    const { added, removed, amounts, risks } = changes;
+    const sinceMs = Date.parse(changes.since ?? "");
+    const since = Number.isNaN(sinceMs) ? "your last visit" : formatISODate(toISODate(new Date(sinceMs)));
+
+    return (
+        <Box
+            sx={{
+                mx: { xs: 0.5, sm: 1 },
+                mt: 1,
+                bgcolor: "#fff",
+                border: "1px solid #e2e8f0",
+                borderRadius: 2,
+                overflow: "hidden",
+            }}
+        >
+            <ButtonBase
+                onClick={() => setOpen((v) => !v)}
+                aria-expanded={open}
+                sx={{
+                    width: "100%",
+                    display: "flex",
+                    alignItems: "center",
+                    gap: 1,
+                    flexWrap: "wrap",
+                    px: 2,
+                    py: 1.25,
+                    textAlign: "left",
+                }}
+            >
+                <HistoryRoundedIcon sx={{ fontSize: 18, color: "#64748b" }} />
+                <Typography sx={{ fontSize: 13.5, fontWeight: 700, color: "#0f172a" }}>
+                    What changed since {since}
+                </Typography>
+                <Box sx={{ display: "flex", gap: 0.5, flexWrap: "wrap", flex: 1 }}>
+                    {Object.entries(KINDS).map(([kind, k]) =>
+                        changes[kind].length ? (
+                            <Chip
+                                key={kind}
+                                size="small"
+                                label={`${changes[kind].length} ${k.label.toLowerCase()}`}
+                                sx={{ height: 20, fontSize: 11, fontWeight: 700, color: k.color, bgcolor: k.bg }}
+                            />
+                        ) : null
+                    )}
+                </Box>
+                <ExpandMoreRoundedIcon
+                    sx={{ color: "#64748b", transition: "transform 0.2s", transform: open ? "rotate(180deg)" : "none" }}
+                />
+            </ButtonBase>
+
+            <Collapse in={open} unmountOnExit>
+                <Box sx={{ px: 2, pb: 1.25, borderTop: "1px solid #f1f5f9" }}>
+                    {added.map((item) => (
+                        <ChangeRow
+                            key={`a-${item.stream_id}`}
+                            kind="added"
+                            title={item.description}
+                            detail={toUSD(item.average_amount?.amount)}
+                        />
+                    ))}
+                    {removed.map((item) => (
+                        <ChangeRow
+                            key={`r-${item.stream_id}`}
+                            kind="removed"
+                            title={item.description}
+                            detail={`was ${toUSD(item.average_amount?.amount)}`}
+                        />
+                    ))}
+                    {amounts.map(({ item, from, to }) => (
+                        <ChangeRow
+                            key={`p-${item.stream_id}`}
+                            kind="amounts"
+                            title={item.description}
+                            detail={`${toUSD(from)} → ${toUSD(to)}`}
+                        />
+                    ))}
+                    {risks.map(({ item, from, to }) => (
+                        <ChangeRow
+                            key={`f-${item.stream_id}`}
+                            kind="risks"
+                            title={item.description}
+                            detail={`${RISK_TEXT[from]} → ${RISK_TEXT[to]}`}
+                        />
+                    ))}
+                </Box>
+            </Collapse>
+        </Box>
+    );
+}
@@ -0,0 +1,266 @@
+// ─── Merchant cancellation directory ───────────────────────────────────────────
+// Where and how to cancel common subscriptions, bundled with the app so the
+// "How to cancel" dialog works offline and without another Worker route.
+//
+// Each entry:
+//   id       stable key
+//   name     display name
+//   aliases  merchant names / statement descriptors it matches, compared after
+//            normalizeMerchantName (lower-case, punctuation → spaces), as whole
+//            words — "netflix" matches "NETFLIX.COM" but not "NETFLIXER".
+//            Name the product, never just the brand: a bare "amazon" or
+//            "google" would hand AWS or Google Fi someone else's steps
+//   url      page where the plan is cancelled (null when it can't be done online)
+//   phone    support number, only where calling is a real cancellation route
+//   steps    what to click / say, in order
+//   note     anything that catches people out (fees, notice periods…)
+//
+// Merchants move these pages around, so a stale link is always possible.
+// Anything not listed falls back to the template letter in
+// utils/cancellation.js.
+
+export const CANCELLATION_DIRECTORY = [
+    {
+        id: "netflix",
+        name: "Netflix",
+        aliases: ["netflix"],
+        url: "https://www.netflix.com/cancelplan",
+        phone: null,
+        steps: [
+            "Sign in on netflix.com (the app may not offer cancellation).",
+            "Open Account → Membership → Cancel membership.",
+            "Confirm — you keep access until the end of the billing period.",
+        ],
+        note: null,
+    },
+    {
+        id: "spotify",
+        name: "Spotify Premium",
+        aliases: ["spotify"],
+        url: "https://www.spotify.com/account/overview/",
+        phone: null,
+        steps: [
+            "Sign in at spotify.com/account (cancelling isn't possible in the app).",
+            "Choose Manage your plan → Cancel Premium.",
+            "Your account switches to the free plan at the next billing date.",
+        ],
+        note: "If you pay through Apple or Google, cancel there instead.",
+    },
+    {
+        id: "hulu",
+        name: "Hulu",
+        aliases: ["hulu"],
+        url: "https://secure.hulu.com/account",
+        phone: null,
+        steps: [
+            "Sign in on hulu.com and open Account.",
+            "Under Your Subscription, select Cancel and follow the prompts.",
+        ],
+        note: "Hulu billed through Disney+, Apple, Amazon or your TV provider must be cancelled with them.",
+    },
+    {
+        id: "disney-plus",
+        name: "Disney+",
+        aliases: ["disney plus", "disneyplus"],
+        url: "https://www.disneyplus.com/account",
+        phone: null,
+        steps: [
+            "Sign in on disneyplus.com and open Account.",
+            "Select your subscription → Cancel subscription.",
+        ],
+        note: null,
+    },
+    {
+        id: "max",
+        name: "Max",
+        aliases: ["max com", "hbo max", "hbomax"],
+        url: "https://auth.max.com/subscription",
+        phone: null,
+        steps: [
+            "Sign in on max.com and open Subscription.",
+            "Select Cancel your subscription and confirm.",
+        ],
+        note: null,
+    },
+    {
+        id: "paramount-plus",
+        name: "Paramount+",
+        aliases: ["paramount plus", "paramountplus"],
+        url: "https://www.paramountplus.com/account/",
+        phone: null,
+        steps: [
+            "Sign in on paramountplus.com and open Account.",
+            "Select Cancel subscription and confirm.",
+        ],
+        note: null,
+    },
+    {
+        id: "youtube-premium",
+        name: "YouTube Premium",
+        aliases: ["youtube premium", "youtubepremium"],
+        url: "https://www.youtube.com/paid_memberships",
+        phone: null,
+        steps: [
+            "Open youtube.com/paid_memberships while signed in.",
+            "Select Manage membership → Deactivate → Continue to cancel.",
+        ],
+        note: null,
+    },
+    {
+        id: "amazon-prime",
+        name: "Amazon Prime",
+        aliases: ["amazon prime", "amzn prime", "prime video", "primevideo"],
+        url: "https://www.amazon.com/mc",
+        phone: "1-888-280-4331",
+        steps: [
+            "Go to Your Account → Prime Membership (the link above).",
+            "Select Manage → End membership, then confirm on each screen.",
+        ],
+        note: "Amazon shows several 'are you sure' screens — keep choosing to end the membership.",
+    },
+    {
+        id: "audible",
+        name: "Audible",
+        aliases: ["audible"],
+        url: "https://www.audible.com/account/overview",
+        phone: null,
+        steps: [
+            "Sign in on audible.com (not the app) and open Account Details.",
+            "Select Cancel membership and follow the prompts.",
+        ],
+        note: "Spend any remaining credits first — they are lost when the membership ends.",
+    },
+    {
+        id: "apple",
+        name: "Apple subscriptions (App Store, Apple Music, iCloud+)",
+        aliases: ["apple com bill", "itunes com", "itunes"],
+        url: "https://apps.apple.com/account/subscriptions",
+        phone: null,
+        steps: [
+            "On iPhone: Settings → your name → Subscriptions.",
+            "Pick the subscription and tap Cancel Subscription.",
+            "On a computer, use the link above or the App Store app → Account → Subscriptions.",
+        ],
+        note: "One APPLE.COM/BILL charge can cover several apps — check each one in the list.",
+    },
+    {
+        id: "google-play",
+        name: "Google Play subscriptions",
+        aliases: ["google play", "google one", "google storage"],
+        url: "https://play.google.com/store/account/subscriptions",
+        phone: null,
+        steps: [
+            "Open the link above (or Play Store app → profile → Payments & subscriptions → Subscriptions).",
+            "Pick the subscription and tap Cancel subscription.",
+        ],
+        note: null,
+    },
+    {
+        id: "microsoft",
+        name: "Microsoft 365 / Xbox",
+        aliases: ["microsoft 365", "office 365", "xbox"],
+        url: "https://account.microsoft.com/services",
+        phone: null,
+        steps: [
+            "Sign in at account.microsoft.com/services.",
+            "Find the subscription and select Manage → Cancel subscription.",
+        ],
+        note: null,
+    },
+    {
+        id: "adobe",
+        name: "Adobe",
+        aliases: ["adobe"],
+        url: "https://account.adobe.com/plans",
+        phone: null,
+        steps: [
+            "Sign in at account.adobe.com/plans.",
+            "Select Manage plan → Cancel your plan and follow the prompts.",
+        ],
+        note: "Annual plans paid monthly can carry an early-termination fee after the first 14 days.",
+    },
+    {
+        id: "linkedin-premium",
+        name: "LinkedIn Premium",
+        aliases: ["linkedin"],
+        url: null,
+        phone: null,
+        steps: [
+            "On linkedin.com, click Me → Premium features → Manage Premium account.",
+            "Select Cancel subscription and follow the prompts.",
+        ],
+        note: "If you subscribed in the iPhone app, cancel through Apple instead.",
+    },
+    {
+        id: "dropbox",
+        name: "Dropbox",
+        aliases: ["dropbox"],
+        url: "https://www.dropbox.com/account/plan",
+        phone: null,
+        steps: [
+            "Sign in on dropbox.com and open Settings → Plan.",
+            "Select Cancel plan at the bottom of the page.",
+        ],
+        note: null,
+    },
+    {
+        id: "peloton",
+        name: "Peloton",
+        aliases: ["peloton", "onepeloton"],
+        url: "https://members.onepeloton.com/preferences/subscriptions",
+        phone: "1-866-679-9129",
+        steps: [
+            "Sign in on onepeloton.com and open Preferences → Subscriptions.",
+            "Select the membership → Cancel subscription.",
+        ],
+        note: null,
+    },
+    {
+        id: "planet-fitness",
+        name: "Planet Fitness",
+        aliases: ["planet fitness", "planet fit", "pf black card"],
+        url: null,
+        phone: null,
+        steps: [
+            "Cancel in person at your home club, or by certified letter to it.",
+            "Ask for (or keep) written confirmation of the cancellation.",
+        ],
+        note: "Most clubs don't cancel online or by phone. The annual fee may still be charged if it's due.",
+    },
+    {
+        id: "costco",
+        name: "Costco membership",
+        aliases: ["costco"],
+        url: null,
+        phone: "1-800-774-2678",
+        steps: [
+            "Visit the membership counter at any warehouse, or call Member Services.",
+            "Ask to cancel auto-renewal (or the membership, for a refund of the fee).",
+        ],
+        note: null,
+    },
+    {
+        id: "hellofresh",
+        name: "HelloFresh",
+        aliases: ["hellofresh", "hello fresh"],
+        url: "https://www.hellofresh.com/account-settings/plan-settings",
+        phone: null,
+        steps: [
+            "Sign in on hellofresh.com and open Account settings → Plan settings.",
+            "Select Cancel plan — do it before the weekly order cutoff to avoid one more box.",
+        ],
+        note: null,
+    },
+    {
+        id: "parkmobile",
+        name: "ParkMobile",
+        aliases: ["parkmobile", "park mobile"],
+        url: null,
+        phone: null,
+        steps: [
+            "In the ParkMobile app, open Account → Membership.",
+            "Switch to the free Basic plan.",
+        ],
+        note: null,
+    },
+];
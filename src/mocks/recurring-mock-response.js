@@ -8,7 +8,59 @@ export const MOCK_RESPONSE = {
         tag: "recurring_data",
         userId: "000000002",
         data: {
-            inflow_streams: [],
+            inflow_streams: [
+                {
+                    account_id: "l6rE8BWPdzcn7gQeoagasJvbxydBWXCAE6JKD",
+                    average_amount: { amount: -1850.00 },
+                    description: "ACME CORP PAYROLL DIR DEP",
+                    first_date: "2024-01-05",
+                    frequency: "BIWEEKLY",
+                    is_active: true,
+                    is_user_modified: false,
+                    last_amount: { amount: -1850.00 },
+                    last_date: "2026-06-26",
+                    merchant_name: "",
+                    personal_finance_category: { primary: "INCOME", detailed: "INCOME_WAGES", confidence_level: "VERY_HIGH" },
+                    predicted_next_date: "2026-07-10",
+                    status: "MATURE",
+                    stream_id: "IN001",
+                    transaction_ids: ["txn_pay01", "txn_pay02", "txn_pay03"],
+                },
+                {
+                    account_id: "l6rE8BWPdzcn7gQeoagasJvbxydBWXCAE6JKD",
+                    average_amount: { amount: -412.00 },
+                    description: "SSA TREAS 310 XXSOC SEC",
+                    first_date: "2025-03-03",
+                    frequency: "MONTHLY",
+                    is_active: true,
+                    is_user_modified: false,
+                    last_amount: { amount: -412.00 },
+                    last_date: "2026-06-03",
+                    merchant_name: "",
+                    personal_finance_category: { primary: "INCOME", detailed: "INCOME_RETIREMENT_PENSION", confidence_level: "HIGH" },
+                    predicted_next_date: "2026-07-03",
+                    status: "MATURE",
+                    stream_id: "IN002",
+                    transaction_ids: ["txn_ssa01", "txn_ssa02"],
+                },
+                {
+                    account_id: "l6rE8BWPdzcn7gQeoagasJvbxydBWXCAE6JKD",
+                    average_amount: { amount: -200.00 },
+                    description: "ONLINE TRANSFER FROM SAVINGS",
+                    first_date: "2025-09-01",
+                    frequency: "MONTHLY",
+                    is_active: true,
+                    is_user_modified: false,
+                    last_amount: { amount: -200.00 },
+                    last_date: "2026-06-01",
+                    merchant_name: "",
+                    personal_finance_category: { primary: "TRANSFER_IN", detailed: "TRANSFER_IN_ACCOUNT_TRANSFER", confidence_level: "HIGH" },
+                    predicted_next_date: "2026-07-01",
+                    status: "MATURE",
+                    stream_id: "IN003",
+                    transaction_ids: ["txn_tr01", "txn_tr02"],
+                },
+            ],
             outflow_streams: [
                 // ── Page 1 ──────────────────────────────────────────────────
                 {
@@ -53,15 +105,17 @@ export const MOCK_RESPONSE = {
                 },
                 {
                     account_id: "l6rE8BWPdzcn7gQeoagasJvbxydBWXCAE6JKD",
-                    average_amount: { amount: 54.99 },
+                    average_amount: { amount: 49.99 },
                     description: "ADOBE CREATIVE CLOUD",
                     first_date: "2024-08-20",
                     frequency: "MONTHLY",
                     is_active: true,
                     is_user_modified: false,
-                    last_amount: { amount: 54.99 },
+                    last_amount: { amount: 59.99 },
                     last_date: "2026-06-20",
                     merchant_name: "Adobe",
+                    merchant_entity_id: "Z5sQJtmwLkKHGrTwvMz4Ax6KRBYRw1UCkRtoQ",
+                    website: "adobe.com",
                     personal_finance_category: { primary: "GENERAL_SERVICES", detailed: "GENERAL_SERVICES_ONLINE_SERVICES", confidence_level: "HIGH" },
                     predicted_next_date: "2026-07-20",
                     status: "MATURE",
@@ -73,7 +127,7 @@ export const MOCK_RESPONSE = {
                 },
                 {
                     account_id: "l6rE8BWPdzcn7gQeoagasJvbxydBWXCAE6JKD",
-                    average_amount: { amount: 17.99 },
+                    average_amount: { amount: 16.49 },
                     description: "NETFLIX.COM",
                     first_date: "2022-11-01",
                     frequency: "MONTHLY",
@@ -82,6 +136,8 @@ export const MOCK_RESPONSE = {
                     last_amount: { amount: 17.99 },
                     last_date: "2026-06-01",
                     merchant_name: "Netflix",
+                    merchant_entity_id: "mKWjRoIY28vExP45X7qfS2dRCDt6hYn4UAeeU",
+                    website: "netflix.com",
                     personal_finance_category: { primary: "ENTERTAINMENT", detailed: "ENTERTAINMENT_TV_AND_MOVIES", confidence_level: "HIGH" },
                     predicted_next_date: "2026-07-01",
                     status: "MATURE",
@@ -163,6 +219,8 @@ export const MOCK_RESPONSE = {
                     last_amount: { amount: 10.99 },
                     last_date: "2026-06-01",
                     merchant_name: "Spotify",
+                    merchant_entity_id: "eyg8o776k0QmNgVpAmaQj4WgzW9Qzo6O51gdd",
+                    website: "spotify.com",
                     personal_finance_category: { primary: "ENTERTAINMENT", detailed: "ENTERTAINMENT_MUSIC_AND_AUDIO", confidence_level: "HIGH" },
                     predicted_next_date: "2026-07-01",
                     status: "MATURE",
@@ -253,6 +311,111 @@ export const MOCK_RESPONSE = {
                     explanation: "Hulu is a widely recognised streaming platform. Charge is consistent with the ad-supported tier. No risk indicators detected.",
                     sms_message: "",
                 },
+                {
+                    account_id: "Xq3Lm9KpT2vWnR7yBdZ4sHcJ8fGaE1uNo5iP6",
+                    average_amount: { amount: 65.00 },
+                    description: "COSTCO *ANNUAL RENEWAL",
+                    first_date: "2023-10-03",
+                    frequency: "ANNUALLY",
+                    is_active: true,
+                    is_user_modified: false,
+                    last_amount: { amount: 65.00 },
+                    last_date: "2025-10-03",
+                    merchant_name: "Costco",
+                    personal_finance_category: { primary: "GENERAL_MERCHANDISE", detailed: "GENERAL_MERCHANDISE_SUPERSTORES", confidence_level: "HIGH" },
+                    predicted_next_date: "2026-10-03",
+                    status: "MATURE",
+                    stream_id: "OUT013",
+                    transaction_ids: ["txn_co01", "txn_co02", "txn_co03"],
+                    flag_type: "none",
+                    explanation: "Costco is a recognised warehouse club. The annual charge matches the standard Gold Star membership fee. No risk indicators detected.",
+                    sms_message: "",
+                },
+                {
+                    account_id: "Xq3Lm9KpT2vWnR7yBdZ4sHcJ8fGaE1uNo5iP6",
+                    average_amount: { amount: 59.99 },
+                    description: "HELLOFRESH US",
+                    first_date: "2026-04-02",
+                    frequency: "WEEKLY",
+                    is_active: true,
+                    is_user_modified: false,
+                    last_amount: { amount: 59.99 },
+                    last_date: "2026-06-25",
+                    merchant_name: "HelloFresh",
+                    personal_finance_category: { primary: "FOOD_AND_DRINK", detailed: "FOOD_AND_DRINK_GROCERIES", confidence_level: "HIGH" },
+                    predicted_next_date: "2026-07-02",
+                    status: "MATURE",
+                    stream_id: "OUT014",
+                    transaction_ids: ["txn_hf01", "txn_hf02", "txn_hf03", "txn_hf04"],
+                    flag_type: "worth_watching",
+                    explanation: "HelloFresh is a legitimate meal-kit service, but weekly billing adds up to roughly $260 a month. Skip or pause weeks you don't need in your account settings.",
+                    sms_message: "",
+                },
+                {
+                    account_id: "l6rE8BWPdzcn7gQeoagasJvbxydBWXCAE6JKD",
+                    average_amount: { amount: 12.50 },
+                    description: "PARKMOBILE",
+                    first_date: "2025-11-18",
+                    frequency: "UNKNOWN",
+                    is_active: true,
+                    is_user_modified: false,
+                    last_amount: { amount: 12.50 },
+                    last_date: "2026-06-09",
+                    merchant_name: "ParkMobile",
+                    personal_finance_category: { primary: "TRANSPORTATION", detailed: "TRANSPORTATION_PARKING", confidence_level: "MEDIUM" },
+                    predicted_next_date: null,
+                    status: "EARLY_DETECTION",
+                    stream_id: "OUT015",
+                    transaction_ids: ["txn_pm01", "txn_pm02"],
+                    flag_type: "none",
+                    explanation: "ParkMobile is a recognised parking payment app. Charges recur at irregular intervals, consistent with pay-as-you-go parking. No risk indicators detected.",
+                    sms_message: "",
+                },
+                {
+                    account_id: "l6rE8BWPdzcn7gQeoagasJvbxydBWXCAE6JKD",
+                    average_amount: { amount: 44.00 },
+                    description: "PELOTON* MEMBERSHIP",
+                    first_date: "2024-02-14",
+                    frequency: "MONTHLY",
+                    is_active: false,
+                    is_user_modified: false,
+                    last_amount: { amount: 44.00 },
+                    last_date: "2026-02-14",
+                    merchant_name: "Peloton",
+                    personal_finance_category: { primary: "PERSONAL_CARE", detailed: "PERSONAL_CARE_GYMS_AND_FITNESS_CENTERS", confidence_level: "HIGH" },
+                    predicted_next_date: null,
+                    status: "MATURE",
+                    stream_id: "OUT016",
+                    transaction_ids: ["txn_pe01", "txn_pe02", "txn_pe03"],
+                    flag_type: "none",
+                    explanation: "Peloton is a recognised fitness subscription. No charges since February — the membership appears to have been cancelled.",
+                    sms_message: "",
+                },
+                {
+                    account_id: "l6rE8BWPdzcn7gQeoagasJvbxydBWXCAE6JKD",
+                    average_amount: { amount: 13.99 },
+                    description: "DISNEYPLUS",
+                    first_date: "2025-05-22",
+                    frequency: "MONTHLY",
+                    is_active: true,
+                    is_user_modified: false,
+                    last_amount: { amount: 13.99 },
+                    last_date: "2026-04-22",
+                    merchant_name: "Disney+",
+                    personal_finance_category: { primary: "ENTERTAINMENT", detailed: "ENTERTAINMENT_TV_AND_MOVIES", confidence_level: "HIGH" },
+                    predicted_next_date: null,
+                    status: "TOMBSTONED",
+                    stream_id: "OUT017",
+                    transaction_ids: ["txn_dp01", "txn_dp02"],
+                    flag_type: "none",
+                    explanation: "Disney+ is a widely recognised streaming service. Plaid has retired this stream after charges stopped in April.",
+                    sms_message: "",
+                },
+            ],
+            // Added by the Worker from Plaid Link metadata (one entry per linked account).
+            accounts: [
+                { account_id: "l6rE8BWPdzcn7gQeoagasJvbxydBWXCAE6JKD", name: "Plaid Checking", mask: "0000", subtype: "checking", item_id: "item_mock_1", institution_name: "First Platypus Bank" },
+                { account_id: "Xq3Lm9KpT2vWnR7yBdZ4sHcJ8fGaE1uNo5iP6", name: "Platypus Rewards Card", mask: "3333", subtype: "credit card", item_id: "item_mock_2", institution_name: "Tartan Bank" },
             ],
         },
     },
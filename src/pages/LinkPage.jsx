@@ -1,10 +1,24 @@
 import React, { useEffect, useState, useCallback } from "react";
 import PlaidButton from "../components/PlaidButton.jsx";
+import AddBankDialog from "../components/AddBankDialog.jsx";
+import DeleteDataDialog from "../components/DeleteDataDialog.jsx";
+import WhatChanged from "../components/WhatChanged.jsx";
 import TopBar, { PageHeader } from "../components/TopBar";
 import Footer from "../components/Footer";
 import Subscriptions from "../components/Subscriptions.jsx";
-import { toRecurringItems } from "../utils/recurring-data-formatter.js";
+import { toEndedItems, toIncomeItems, toRecurringItems } from "../utils/recurring-data-formatter.js";
 import { MOCK_RESPONSE } from "../mocks/recurring-mock-response.js";
+import { readAuth } from "../utils/session-auth.js";
+import { diffRecurringItems, previousSnapshot } from "../utils/snapshot-diff.js";
+import {
+    getDispositions,
+    getHistory,
+    getTransactions,
+    formatWait,
+    readRetryAfter,
+    refreshTransactions,
+    setDisposition,
+} from "../utils/worker-api.js";
 
 // MUI layout + typography
 import Box from "@mui/material/Box";
@@ -12,12 +26,20 @@ import Stack from "@mui/material/Stack";
 import Typography from "@mui/material/Typography";
 import Divider from "@mui/material/Divider";
 import GlobalStyles from "@mui/material/GlobalStyles";
+import Button from "@mui/material/Button";
+import CircularProgress from "@mui/material/CircularProgress";
+import Dialog from "@mui/material/Dialog";
 
 // Icons for sidebars (Risk Guide + security footer only)
 import WarningAmberRoundedIcon from "@mui/icons-material/WarningAmberRounded";
 import RemoveRedEyeRoundedIcon from "@mui/icons-material/RemoveRedEyeRounded";
 import CheckCircleRoundedIcon from "@mui/icons-material/CheckCircleRounded";
 import LockRoundedIcon from "@mui/icons-material/LockRounded";
+import RefreshRoundedIcon from "@mui/icons-material/RefreshRounded";
+import AddBusinessRoundedIcon from "@mui/icons-material/AddBusinessRounded";
+import LinkOffRoundedIcon from "@mui/icons-material/LinkOffRounded";
+import DeleteForeverRoundedIcon from "@mui/icons-material/DeleteForeverRounded";
+import HourglassTopRoundedIcon from "@mui/icons-material/HourglassTopRounded";
 
 // ─── Mock mode ─────────────────────────────────────────────────────────────────
 // Set to true to bypass the API and use local test data (see ../mocks/recurring-mock-response.js).
@@ -25,30 +47,12 @@ import LockRoundedIcon from "@mui/icons-material/LockRounded";
 const USE_MOCK = false;
 
 // ─── API config ────────────────────────────────────────────────────────────────
-// All requests go through the Cloudflare Worker gateway (see ../../worker/):
-// it holds the Pipedream secrets and caches recurring data server-side in KV,
-// so nothing sensitive is stored in the browser or shipped in this bundle.
-const WORKER_URL = process.env.REACT_APP_WORKER_URL;
-
-// ─── Auth from URL fragment ────────────────────────────────────────────────────
-// Glide embeds this app in a Web Embed iframe with #uid=..&ts=..&proof=..
-// (a fragment — browsers never send it to servers, so it stays out of logs).
-// Read it exactly once, then scrub it from the address bar. Idempotent so
-// re-renders (or StrictMode double-invokes) can't lose the credentials.
-let _authFromFragment = null;
-const readAuthFromFragment = () => {
-    if (_authFromFragment) return _authFromFragment;
-    const params = new URLSearchParams(window.location.hash.slice(1));
-    _authFromFragment = {
-        uid: params.get("uid"),
-        ts: params.get("ts"),
-        proof: params.get("proof"),
-    };
-    if (window.location.hash) {
-        window.history.replaceState(null, "", window.location.pathname + window.location.search);
-    }
-    return _authFromFragment;
-};
+// All requests go through the Cloudflare Worker gateway (see ../utils/worker-api.js).
+
+// ─── Auth ──────────────────────────────────────────────────────────────────────
+// Glide embeds this app with #uid=..&ts=..&proof=.. in the URL fragment; see
+// ../utils/session-auth.js for how it's read, scrubbed, and carried across a
+// bank's OAuth redirect.
 
 // ─── Sidebar: How It Works ─────────────────────────────────────────────────────
 
@@ -71,7 +75,7 @@ const HOW_STEPS = [
     {
         color: "#1d4ed8",
         title: "Review & act",
-        body: "See every subscription's amount, frequency, and next charge — then cancel what you don't need.",
+        body: "See every subscription's amount, frequency, and next charge — then tap How to cancel on anything you don't need.",
     },
 ];
 
@@ -290,6 +294,163 @@ function RiskGuidePanel() {
     );
 }
 
+// ─── Data freshness + manual refresh ───────────────────────────────────────────
+
+// Refresh is only offered once data is this old — matches the Worker's default
+// REFRESH_COOLDOWN_SECONDS, so the button doesn't invite a guaranteed 429.
+const REFRESH_OFFER_AFTER_MS = 60 * 60 * 1000;
+
+// Worker envelopes carry fetchedAt as an ISO string; null for legacy cache entries.
+const fetchedAtOf = (responseObject) => {
+    const t = Date.parse(responseObject?.fetchedAt ?? "");
+    return Number.isNaN(t) ? null : t;
+};
+
+// "just now", "5 minutes ago", "3 days ago"
+const timeAgo = (ms) => {
+    const mins = Math.floor((Date.now() - ms) / 60000);
+    if (mins < 1) return "just now";
+    const [n, unit] =
+        mins < 60 ? [mins, "minute"]
+            : mins < 60 * 24 ? [Math.floor(mins / 60), "hour"]
+                : [Math.floor(mins / (60 * 24)), "day"];
+    return `${n} ${unit}${n === 1 ? "" : "s"} ago`;
+};
+
+function FreshnessBar({ fetchedAt, refreshing, notice, onRefresh, onAddBank }) {
+    // Unknown age (legacy cache entry) → always offer a refresh.
+    const canRefresh = !fetchedAt || Date.now() - fetchedAt >= REFRESH_OFFER_AFTER_MS;
+    return (
+        <Box
+            sx={{
+                display: "flex",
+                alignItems: "center",
+                justifyContent: "space-between",
+                flexWrap: "wrap",
+                gap: 1,
+                px: { xs: 0.5, sm: 1 },
+                pt: 1,
+            }}
+        >
+            <Typography sx={{ fontSize: 12.5, color: "#64748b", fontWeight: 500 }}>
+                {notice || (fetchedAt ? `Updated ${timeAgo(fetchedAt)}` : "")}
+            </Typography>
+            <Box sx={{ display: "flex", gap: 0.5, ml: "auto" }}>
+                <Button
+                    size="small"
+                    onClick={onAddBank}
+                    startIcon={<AddBusinessRoundedIcon />}
+                    sx={{ textTransform: "none", fontWeight: 700, borderRadius: "10px", color: "#1d4ed8" }}
+                >
+                    Add another bank
+                </Button>
+                {(canRefresh || refreshing) && (
+                    <Button
+                        size="small"
+                        onClick={onRefresh}
+                        disabled={refreshing}
+                        startIcon={refreshing ? <CircularProgress size={14} /> : <RefreshRoundedIcon />}
+                        sx={{ textTransform: "none", fontWeight: 700, borderRadius: "10px", color: "#1d4ed8" }}
+                    >
+                        {refreshing ? "Refreshing…" : "Refresh"}
+                    </Button>
+                )}
+            </Box>
+        </Box>
+    );
+}
+
+// ─── Broken bank connections ───────────────────────────────────────────────────
+// The Worker reports Items needing re-authentication either as the whole
+// response (tag "relink_required", nothing else to show) or, when other banks
+// still work, as response_object.relinkRequired next to their data.
+
+function RelinkBanner({ entry, onReconnect }) {
+    return (
+        <Box
+            sx={{
+                display: "flex",
+                alignItems: "center",
+                gap: 1.25,
+                flexWrap: "wrap",
+                mx: { xs: 0.5, sm: 1 },
+                mt: 1,
+                px: 2,
+                py: 1.25,
+                bgcolor: "#fffbeb",
+                border: "1px solid #fde68a",
+                borderRadius: 2,
+            }}
+        >
+            <LinkOffRoundedIcon sx={{ fontSize: 18, color: "#b45309", flexShrink: 0 }} />
+            <Typography sx={{ flex: 1, minWidth: 180, fontSize: 13, color: "#92400e", lineHeight: 1.5 }}>
+                <Box component="span" sx={{ fontWeight: 700 }}>{entry.institution_name || "One of your banks"}</Box>
+                {" "}needs you to reconnect. Its subscriptions aren't shown until you do.
+            </Typography>
+            {entry.link_token && (
+                <Button
+                    size="small"
+                    variant="outlined"
+                    onClick={onReconnect}
+                    sx={{ textTransform: "none", fontWeight: 700, borderRadius: "10px", color: "#92400e", borderColor: "#fcd34d" }}
+                >
+                    Reconnect
+                </Button>
+            )}
+        </Box>
+    );
+}
+
+// ─── Rate limited ──────────────────────────────────────────────────────────────
+// The Worker answered 429 (too many requests for this user or device). Counts
+// down to its Retry-After; "Try again" unlocks when it runs out.
+
+function PleaseWait({ retryAt, onRetry }) {
+    const [now, setNow] = useState(Date.now());
+    const secs = Math.max(0, Math.ceil((retryAt - now) / 1000));
+
+    useEffect(() => {
+        if (secs === 0) return undefined;
+        const id = setTimeout(() => setNow(Date.now()), 1000);
+        return () => clearTimeout(id);
+    }, [secs]);
+
+    return (
+        <Box
+            sx={{
+                maxWidth: 480,
+                mx: "auto",
+                mt: 8,
+                px: 3,
+                py: 3,
+                bgcolor: "#fff",
+                border: "1px solid #e2e8f0",
+                borderRadius: 2,
+                boxShadow: "0 1px 3px rgba(15,23,42,0.06)",
+                textAlign: "center",
+            }}
+            role="status"
+        >
+            <HourglassTopRoundedIcon sx={{ fontSize: 32, color: "#1d4ed8" }} />
+            <Typography sx={{ mt: 1, fontSize: 16, fontWeight: 700, color: "#0f172a" }}>
+                Please wait a moment
+            </Typography>
+            <Typography sx={{ mt: 0.75, fontSize: 14, color: "#64748b", lineHeight: 1.6 }}>
+                We've had a lot of requests from you in a short time, so we're pausing briefly to keep your
+                account safe. Nothing is wrong with your data.
+            </Typography>
+            <Button
+                variant="contained"
+                onClick={onRetry}
+                disabled={secs > 0}
+                sx={{ mt: 2, textTransform: "none", fontWeight: 700, borderRadius: "10px", bgcolor: "#1d4ed8" }}
+            >
+                {secs > 0 ? `Try again in ${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, "0")}` : "Try again"}
+            </Button>
+        </Box>
+    );
+}
+
 // ─── Page component ────────────────────────────────────────────────────────────
 
 const SIDEBAR_W = 380;
@@ -299,20 +460,76 @@ const LinkPage = () => {
     const [linkToken, setLinkToken] = useState(null);
     // Per-user proof minted by Glide; the Worker rejects any request whose
     // proof is missing, forged, stale, or from an unprovisioned user.
-    const { uid, ts, proof } = readAuthFromFragment();
+    const { uid, ts, proof, v } = readAuth();
     const [message, setMessage] = useState("");
     const [loading, setLoading] = useState(true);
     const [subs, setSubs] = useState([]);
+    const [income, setIncome] = useState([]);
+    const [ended, setEnded] = useState([]);
+    // User's keep / cancel / not-mine marks: { [stream_id]: { disposition, updatedAt } }.
+    const [dispositions, setDispositions] = useState({});
+    // When the Worker last pulled this data from Plaid (epoch ms, null if unknown).
+    const [fetchedAt, setFetchedAt] = useState(null);
+    const [refreshing, setRefreshing] = useState(false);
+    const [refreshNotice, setRefreshNotice] = useState("");
+    const [addBankOpen, setAddBankOpen] = useState(false);
+    const [deleteOpen, setDeleteOpen] = useState(false);
+    const [dataDeleted, setDataDeleted] = useState(false);
+    // Epoch ms the Worker's Retry-After ends after a 429 on page load, or null.
+    const [retryAt, setRetryAt] = useState(null);
+    // Diff against the previous history snapshot (see WhatChanged), or null.
+    const [changes, setChanges] = useState(null);
+    // Items needing Link update mode: [{ item_id, institution_name, error_code, link_token }].
+    const [relinkItems, setRelinkItems] = useState([]);
+    const [relinkTarget, setRelinkTarget] = useState(null);
+
+    // Latest two history snapshots — enough to find the one before the data
+    // on screen. A failure only costs the "What changed" panel.
+    const loadHistory = useCallback(async () => {
+        if (USE_MOCK) return [];
+        try {
+            const res = await getHistory({ uid, ts, proof, v }, 2);
+            if (!res.ok) return [];
+            const data = await res.json();
+            return Array.isArray(data?.snapshots) ? data.snapshots : [];
+        } catch (err) {
+            console.error("Error loading history:", err);
+            return [];
+        }
+    }, [uid, ts, proof, v]);
+
+    // Single place a recurring_data envelope turns into page state, whether it
+    // came from a page load, a refresh, or a fresh Plaid Link exchange.
+    // `snapshots` may be passed when already fetched alongside the data.
+    const applyRecurringData = useCallback(async (responseObject, snapshots) => {
+        const prior = previousSnapshot(snapshots ?? (await loadHistory()), responseObject?.fetchedAt);
+        // The previous snapshot also serves as the price-change baseline.
+        const previous = prior ? await toRecurringItems(prior.data) : [];
+        const [items, inflows, endedItems] = await Promise.all([
+            toRecurringItems(responseObject?.data, { previous }),
+            toIncomeItems(responseObject?.data),
+            toEndedItems(responseObject?.data),
+        ]);
+        // With a bank awaiting reconnection its streams are simply missing, not
+        // ended — a diff would report them all as gone.
+        const partial = Boolean(responseObject?.relinkRequired?.length);
+        setChanges(prior && !partial ? { ...diffRecurringItems(previous, items), since: prior.fetchedAt } : null);
+        setSubs(items);
+        setIncome(inflows);
+        setEnded(endedItems);
+        setFetchedAt(fetchedAtOf(responseObject));
+        setRelinkItems(responseObject?.relinkRequired ?? []);
+        setLinkToken(null);
+        setMessage(items.length || inflows.length || endedItems.length ? "" : "No recurring transactions found.");
+    }, [loadHistory]);
 
     const fetchFromApi = useCallback(async (attempt = 0) => {
         if (!uid) return;
         setLoading(true);
         setMessage("");
+        setRetryAt(null);
         try {
-            const res = await fetch(
-                `${WORKER_URL}/transactions?uid=${encodeURIComponent(uid)}` +
-                `&ts=${encodeURIComponent(ts)}&proof=${encodeURIComponent(proof)}`
-            );
+            const [res, snapshots] = await Promise.all([getTransactions({ uid, ts, proof, v }), loadHistory()]);
             if (res.status === 401 && attempt === 0) {
                 // KV eventual consistency right after provisioning — retry once.
                 await new Promise((r) => setTimeout(r, 2000));
@@ -322,15 +539,20 @@ const LinkPage = () => {
                 setMessage("Your session has expired. Please reopen this page from the app.");
                 return;
             }
+            if (res.status === 429) {
+                const secs = await readRetryAfter(res);
+                setRetryAt(Date.now() + (secs ?? 60) * 1000);
+                return;
+            }
             if (!res.ok) throw new Error(`HTTP error! Status: ${res.status}`);
             const data = await res.json();
             const tag = data?.response_object?.tag;
 
             if (tag === "recurring_data") {
-                const items = await toRecurringItems(data?.response_object?.data);
-                setSubs(items);
-                setLinkToken(null);
-                setMessage(items.length ? "" : "No recurring transactions found.");
+                await applyRecurringData(data.response_object, snapshots);
+            } else if (tag === "relink_required") {
+                setRelinkItems([data.response_object.data ?? {}]);
+                setMessage("");
             } else if (tag === "link_token") {
                 setLinkToken(data?.response_object?.data?.link_token);
                 setMessage("");
@@ -343,15 +565,25 @@ const LinkPage = () => {
         } finally {
             setLoading(false);
         }
-    }, [uid, ts, proof]);
+    }, [uid, ts, proof, v, applyRecurringData, loadHistory]);
+
+    // Marks live server-side (USERS KV) independently of the recurring data
+    // cache; a failure here just means the list shows unmarked.
+    const loadDispositions = useCallback(async () => {
+        try {
+            const res = await getDispositions({ uid, ts, proof, v });
+            if (!res.ok) return;
+            const data = await res.json();
+            setDispositions(data?.dispositions ?? {});
+        } catch (err) {
+            console.error("Error loading dispositions:", err);
+        }
+    }, [uid, ts, proof, v]);
 
     useEffect(() => {
         // ── Mock short-circuit ──────────────────────────────────────────────────
         if (USE_MOCK) {
-            toRecurringItems(MOCK_RESPONSE.response_object.data).then((items) => {
-                setSubs(items);
-                setLoading(false);
-            });
+            applyRecurringData(MOCK_RESPONSE.response_object).then(() => setLoading(false));
             return;
         }
         // ───────────────────────────────────────────────────────────────────────
@@ -366,10 +598,120 @@ const LinkPage = () => {
         // No client-side cache or storage: the Worker serves cached recurring
         // data from KV, so every load is a single request either way.
         fetchFromApi();
-    }, [uid, ts, proof, fetchFromApi]);
+        loadDispositions();
+    }, [uid, ts, proof, v, fetchFromApi, loadDispositions, applyRecurringData]);
+
+    // Manual refresh: keeps the current list on screen while the Worker re-fetches.
+    const handleRefresh = async () => {
+        setRefreshing(true);
+        setRefreshNotice("");
+        try {
+            const res = await refreshTransactions({ uid, ts, proof, v });
+            if (res.status === 429) {
+                // Either the refresh cooldown or the Worker's rate limit.
+                const secs = await readRetryAfter(res);
+                setRefreshNotice(`Please wait — you can refresh again in ${formatWait(secs)}.`);
+                return;
+            }
+            if (res.status === 401) {
+                setRefreshNotice("Your session has expired. Please reopen this page from the app.");
+                return;
+            }
+            if (!res.ok) throw new Error(`HTTP error! Status: ${res.status}`);
+            const data = await res.json();
+            const tag = data?.response_object?.tag;
+            if (tag === "recurring_data") {
+                await applyRecurringData(data.response_object);
+            } else if (tag === "relink_required") {
+                // Every bank needs reconnecting — show the update-mode card.
+                setChanges(null);
+                setSubs([]);
+                setIncome([]);
+                setEnded([]);
+                setRelinkItems([data.response_object.data ?? {}]);
+            } else if (tag === "link_token") {
+                // Bank connection is gone — fall back to the connect card.
+                setChanges(null);
+                setSubs([]);
+                setIncome([]);
+                setEnded([]);
+                setLinkToken(data?.response_object?.data?.link_token);
+            }
+        } catch (err) {
+            console.error("Error refreshing recurring data:", err);
+            setRefreshNotice("Couldn't refresh right now. Please try again later.");
+        } finally {
+            setRefreshing(false);
+        }
+    };
+
+    // Optimistic: the chip updates immediately and is rolled back if the
+    // Worker rejects the write (e.g. the proof has expired).
+    const handleDispositionChange = async (streamId, disposition) => {
+        const previous = dispositions;
+        const next = { ...dispositions };
+        if (disposition) next[streamId] = { disposition, updatedAt: new Date().toISOString() };
+        else delete next[streamId];
+        setDispositions(next);
+        if (USE_MOCK) return;
+
+        try {
+            const res = await setDisposition({ uid, ts, proof, v }, streamId, disposition ?? null);
+            if (!res.ok) throw new Error(`HTTP error! Status: ${res.status}`);
+        } catch (err) {
+            console.error("Error saving disposition:", err);
+            setDispositions(previous);
+            setRefreshNotice("Couldn't save your choice. Please reopen this page from the app and try again.");
+        }
+    };
+
+    // Link update mode finished: the Item kept its access token, so there is
+    // nothing to exchange — just re-fetch (the Worker waives the refresh
+    // cooldown once after a relink). Throws so PlaidButton can show the failure.
+    const handleRelinked = async () => {
+        const res = await refreshTransactions({ uid, ts, proof, v });
+        if (!res.ok) throw new Error(`HTTP error! Status: ${res.status}`);
+        const data = await res.json();
+        const tag = data?.response_object?.tag;
+        if (tag === "recurring_data") {
+            await applyRecurringData(data.response_object);
+            setRelinkTarget(null);
+            setRefreshNotice("Bank reconnected — your subscriptions are up to date.");
+        } else if (tag === "relink_required") {
+            setRelinkItems([data.response_object.data ?? {}]);
+            throw new Error("Item still needs re-authentication");
+        } else {
+            throw new Error(`Unexpected response tag: ${tag}`);
+        }
+    };
+
+    // A second (third…) bank was linked: the Worker returns the merged data.
+    const handleBankAdded = async (responseObject) => {
+        await applyRecurringData(responseObject);
+        setAddBankOpen(false);
+        setRefreshNotice("Bank added — its subscriptions are now in your list.");
+    };
 
-    const handlePlaidData = (items) => {
-        if (Array.isArray(items)) {
+    // Banks disconnected and data purged: the proof no longer verifies, so
+    // there is nothing left to offer but the confirmation.
+    const handleDataDeleted = () => {
+        setDeleteOpen(false);
+        setDataDeleted(true);
+        setChanges(null);
+        setSubs([]);
+        setIncome([]);
+        setEnded([]);
+        setDispositions({});
+        setRelinkItems([]);
+        setLinkToken(null);
+        setFetchedAt(null);
+        setMessage("Your bank has been disconnected and your data deleted.");
+    };
+
+    const handlePlaidData = (items, responseObject) => {
+        if (responseObject) {
+            applyRecurringData(responseObject);
+        } else if (Array.isArray(items)) {
             setSubs(items);
             setLinkToken(null);
             setMessage(items.length ? "" : "No recurring transactions found.");
@@ -420,10 +762,15 @@ const LinkPage = () => {
         </Box>
     );
 
+    // Outflows, inflows or ended streams — any of them gets the list view.
+    const hasRecurring = subs.length > 0 || income.length > 0 || ended.length > 0;
     // Sidebar is shown while loading (loader appears centre) and once subs exist.
     // Hidden when the user needs to connect via Plaid (no subs yet, linkToken present)
     // or when showing a fallback error message.
-    const showSidebar = loading || subs.length > 0;
+    const showSidebar = loading || hasRecurring;
+    // Offered in every authenticated state (relink, link, empty — not only once a
+    // list shows), until the data is gone.
+    const canDelete = !USE_MOCK && !loading && !dataDeleted && Boolean(uid && ts && proof);
 
     return (
         <PageShell>
@@ -480,12 +827,79 @@ const LinkPage = () => {
                 >
                     {loading ? (
                         <Loader />
-                    ) : subs.length > 0 ? (
-                        <Subscriptions items={subs} />
+                    ) : hasRecurring ? (
+                        <>
+                            {!USE_MOCK && (
+                                <FreshnessBar
+                                    fetchedAt={fetchedAt}
+                                    refreshing={refreshing}
+                                    notice={refreshNotice}
+                                    onRefresh={handleRefresh}
+                                    onAddBank={() => setAddBankOpen(true)}
+                                />
+                            )}
+                            {relinkItems.map((entry, idx) => (
+                                <RelinkBanner
+                                    key={entry.item_id ?? idx}
+                                    entry={entry}
+                                    onReconnect={() => setRelinkTarget(entry)}
+                                />
+                            ))}
+                            <WhatChanged changes={changes} />
+                            <Dialog
+                                open={Boolean(relinkTarget)}
+                                onClose={() => setRelinkTarget(null)}
+                                fullWidth
+                                maxWidth="sm"
+                                disableEnforceFocus
+                                PaperProps={{ sx: { bgcolor: "#f8fafc", borderRadius: 3, py: 3 } }}
+                            >
+                                {relinkTarget && (
+                                    <PlaidButton
+                                        relink={relinkTarget}
+                                        linkToken={relinkTarget.link_token}
+                                        uid={uid}
+                                        ts={ts}
+                                        proof={proof}
+                                        v={v}
+                                        onRelinked={handleRelinked}
+                                    />
+                                )}
+                            </Dialog>
+                            {!USE_MOCK && (
+                                <AddBankDialog
+                                    open={addBankOpen}
+                                    onClose={() => setAddBankOpen(false)}
+                                    auth={{ uid, ts, proof, v }}
+                                    onLinked={handleBankAdded}
+                                />
+                            )}
+                            <Subscriptions
+                                items={subs}
+                                income={income}
+                                ended={ended}
+                                dispositions={dispositions}
+                                onDispositionChange={handleDispositionChange}
+                            />
+                        </>
+                    ) : relinkItems.length > 0 ? (
+                        <Box sx={{ display: "grid", placeItems: "center", px: 2, py: 6 }}>
+                            <PlaidButton
+                                relink={relinkItems[0]}
+                                linkToken={relinkItems[0].link_token}
+                                uid={uid}
+                                ts={ts}
+                                proof={proof}
+                                v={v}
+                                onRelinked={handleRelinked}
+                            />
+                        </Box>
                     ) : linkToken ? (
                         <Box sx={{ display: "grid", placeItems: "center", px: 2, py: 6 }}>
-                            <PlaidButton linkToken={linkToken} uid={uid} ts={ts} proof={proof} onData={handlePlaidData} />
+                            <PlaidButton linkToken={linkToken} uid={uid} ts={ts} proof={proof} v={v} onData={handlePlaidData} />
                         </Box>
+                    ) : retryAt ? (
+                        <PleaseWait retryAt={retryAt} onRetry={() => fetchFromApi()} />
                     ) : (
                         <Box
                             sx={{
@@ -507,6 +921,32 @@ const LinkPage = () => {
                             {message || "Ready."}
                         </Box>
                     )}
+                    {canDelete && (
+                        <>
+                            <Button
+                                size="small"
+                                onClick={() => setDeleteOpen(true)}
+                                startIcon={<DeleteForeverRoundedIcon />}
+                                sx={{
+                                    alignSelf: "center",
+                                    mt: 2,
+                                    textTransform: "none",
+                                    fontWeight: 600,
+                                    borderRadius: "10px",
+                                    color: "#94a3b8",
+                                    "&:hover": { color: "#b91c1c", bgcolor: "#fef2f2" },
+                                }}
+                            >
+                                Disconnect bank & delete data
+                            </Button>
+                            <DeleteDataDialog
+                                open={deleteOpen}
+                                onClose={() => setDeleteOpen(false)}
+                                auth={{ uid, ts, proof, v }}
+                                onDeleted={handleDataDeleted}
+                            />
+                        </>
+                    )}
                 </Box>
             </Box>
         </PageShell>
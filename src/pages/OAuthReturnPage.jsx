@@ -0,0 +1,63 @@
+import React, { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import PlaidButton from "../components/PlaidButton.jsx";
+import TopBar, { PageHeader } from "../components/TopBar";
+import Footer from "../components/Footer";
+import { clearLinkSession, peekLinkSession, readAuth } from "../utils/session-auth.js";
+
+import Box from "@mui/material/Box";
+import Typography from "@mui/material/Typography";
+import GlobalStyles from "@mui/material/GlobalStyles";
+
+// ─── OAuth return ──────────────────────────────────────────────────────────────
+// Plaid sends the user back here (the link token's redirect_uri) after signing
+// in on their bank's own site. The Link session stashed by PlaidButton right
+// before it opened supplies the link token and proof; Link then resumes by
+// itself and, once it's done, the main page loads the updated data.
+
+const OAuthReturnPage = () => {
+    const navigate = useNavigate();
+    // Read once: PlaidButton clears the stash as soon as Link succeeds or exits.
+    const [session] = useState(() => {
+        readAuth(); // primes the page-wide auth from the stash for LinkPage
+        return peekLinkSession();
+    });
+
+    const finish = () => {
+        clearLinkSession();
+        navigate("/", { replace: true });
+    };
+
+    return (
+        <Box sx={{ display: "flex", flexDirection: "column", minHeight: "100vh" }}>
+            <GlobalStyles styles={{ "html, body, #root": { margin: 0, padding: 0 }, body: { overflowX: "hidden" } }} />
+            <TopBar />
+            <PageHeader />
+            <Box sx={{ flex: 1, bgcolor: "#f8fafc", display: "grid", placeItems: "center", px: 2, py: 6 }}>
+                {session ? (
+                    <PlaidButton
+                        linkToken={session.linkToken}
+                        receivedRedirectUri={window.location.href}
+                        resumedEvents={session.events ?? []}
+                        uid={session.auth.uid}
+                        ts={session.auth.ts}
+                        proof={session.auth.proof}
+                        v={session.auth.v}
+                        adding={session.mode === "add"}
+                        relink={session.mode === "relink" ? session.relink : null}
+                        // Exchange (or relink) done — the Worker has the new data.
+                        onData={(_, responseObject) => responseObject && finish()}
+                        onRelinked={finish}
+                    />
+                ) : (
+                    <Typography sx={{ maxWidth: 420, textAlign: "center", color: "#64748b", fontWeight: 500, fontSize: 15 }}>
+                        We couldn't pick up where your bank left off. Please reopen this page from the app and connect again.
+                    </Typography>
+                )}
+            </Box>
+            <Footer />
+        </Box>
+    );
+};
+
+export default OAuthReturnPage;
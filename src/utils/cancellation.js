@@ -0,0 +1,82 @@
+/**
+ * "How to cancel": match a subscription to the bundled merchant directory
+ * (../data/cancellation-directory.js), or draft a cancellation letter for
+ * merchants it doesn't cover.
+ */
+import { CANCELLATION_DIRECTORY } from "../data/cancellation-directory.js";
+import { formatISODate } from "./dates.js";
+import { toUSD } from "./format.js";
+
+/** "NETFLIX.COM" → "netflix com", "Disney+" → "disney plus", "AT&T" → "at and t". */
+export function normalizeMerchantName(name) {
+    return String(name ?? "")
+        .toLowerCase()
+        .replace(/\+/g, " plus ")
+        .replace(/&/g, " and ")
+        .replace(/[^a-z0-9]+/g, " ")
+        .trim();
+}
+
+// Aliases normalized once; longest first, so the most specific one wins when a
+// descriptor contains several.
+const ALIASES = CANCELLATION_DIRECTORY.flatMap((entry) =>
+    entry.aliases.map((alias) => ({ alias: normalizeMerchantName(alias), entry }))
+).sort((a, b) => b.alias.length - a.alias.length);
+
+/**
+ * Directory entry for an item (matched on its merchant name / description,
+ * whole words only), or null.
+ */
+export function findCancellationEntry(item) {
+    const name = normalizeMerchantName(item?.description);
+    if (!name) return null;
+    const padded = ` ${name} `;
+    return ALIASES.find(({ alias }) => padded.includes(` ${alias} `))?.entry ?? null;
+}
+
+const FREQUENCY_WORDS = {
+    WEEKLY: "weekly",
+    BIWEEKLY: "every two weeks",
+    SEMI_MONTHLY: "twice a month",
+    MONTHLY: "monthly",
+    ANNUALLY: "yearly",
+};
+
+const LONG_DATE = { month: "long", day: "numeric", year: "numeric" };
+
+/**
+ * Plain-text cancellation request { subject, body } for emailing or posting
+ * to a merchant. Bracketed fields are left for the user to fill in; only the
+ * card's last four digits (account_mask) are ever included.
+ */
+export function cancellationLetter(item) {
+    const merchant = item?.description || "your company";
+    const amount = toUSD(item?.average_amount?.amount);
+    const cadence = FREQUENCY_WORDS[item?.frequency];
+    const charge = `${amount}${cadence ? ` ${cadence}` : ""}`;
+    const card = item?.account_mask ? ` to my card ending in ${item.account_mask}` : "";
+    const last = item?.last_date ? `, most recently on ${formatISODate(item.last_date, LONG_DATE)}` : "";
+
+    return {
+        subject: `Cancellation request – ${merchant} subscription`,
+        body: [
+            `To ${merchant} customer support,`,
+            "",
+            `Please cancel my ${merchant} subscription, billed at ${charge}${card}${last}, effective immediately.`,
+            "",
+            "Please stop all future charges and do not renew the subscription. I also ask that you confirm the cancellation in writing to this email address, including the date it takes effect.",
+            "",
+            "If you need to identify my account:",
+            "Name: [Your full name]",
+            "Email on the account: [Your email]",
+            "Account or member number (if known): [Number]",
+            "",
+            "Thank you,",
+            "[Your full name]",
+        ].join("\n"),
+    };
+}
+
+/** mailto: link that opens the letter in the user's email app (no recipient — they add it). */
+export const cancellationMailto = ({ subject, body }) =>
+    `mailto:?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
@@ -0,0 +1,65 @@
+import { cancellationLetter, findCancellationEntry, normalizeMerchantName } from "./cancellation.js";
+import { CANCELLATION_DIRECTORY } from "../data/cancellation-directory.js";
+
+const match = (description) => findCancellationEntry({ description })?.id ?? null;
+
+describe("normalizeMerchantName", () => {
+    test("lower-cases and turns punctuation, + and & into words", () => {
+        expect(normalizeMerchantName("NETFLIX.COM")).toBe("netflix com");
+        expect(normalizeMerchantName("Disney+")).toBe("disney plus");
+        expect(normalizeMerchantName("AT&T")).toBe("at and t");
+    });
+});
+
+describe("findCancellationEntry", () => {
+    test("matches statement descriptors on whole words", () => {
+        expect(match("NETFLIX.COM")).toBe("netflix");
+        expect(match("Disney+")).toBe("disney-plus");
+        expect(match("APPLE.COM/BILL")).toBe("apple");
+        expect(match("MICROSOFT*XBOX")).toBe("microsoft");
+        expect(match("NETFLIXER")).toBeNull();
+    });
+
+    test("doesn't hand a brand's other products its subscription steps", () => {
+        expect(match("AMAZON WEB SERVICES")).toBeNull();
+        expect(match("Kindle Unlimited AMAZON")).toBeNull();
+        expect(match("GOOGLE *FI")).toBeNull();
+        expect(match("GOOGLE *Workspace")).toBeNull();
+        expect(match("APPLE STORE")).toBeNull();
+        expect(match("MICROSOFT AZURE")).toBeNull();
+        expect(match("HBO")).toBeNull();
+        expect(match("Amazon Prime*2K4")).toBe("amazon-prime");
+        expect(match("GOOGLE *Google One")).toBe("google-play");
+    });
+
+    test("returns null for a missing description", () => {
+        expect(findCancellationEntry({})).toBeNull();
+    });
+
+    test("every alias names more than the bare brand", () => {
+        const bare = ["amazon", "google", "apple", "microsoft", "disney", "hbo"];
+        const aliases = CANCELLATION_DIRECTORY.flatMap((entry) => entry.aliases.map(normalizeMerchantName));
+        expect(aliases.filter((alias) => bare.includes(alias))).toEqual([]);
+    });
+});
+
+describe("cancellationLetter", () => {
+    test("fills in the merchant, amount, cadence and card mask", () => {
+        const { subject, body } = cancellationLetter({
+            description: "Acme Gym",
+            average_amount: { amount: -29.99 },
+            frequency: "MONTHLY",
+            account_mask: "1234",
+            last_date: "2026-07-15",
+        });
+        expect(subject).toBe("Cancellation request – Acme Gym subscription");
+        expect(body).toContain(
+            "Please cancel my Acme Gym subscription, billed at $29.99 monthly to my card ending in 1234, most recently on July 15, 2026"
+        );
+    });
+
+    test("leaves out what it doesn't know", () => {
+        const { body } = cancellationLetter({ description: "Acme", average_amount: { amount: 5 }, frequency: "UNKNOWN" });
+        expect(body).toContain("Please cancel my Acme subscription, billed at $5.00, effective immediately.");
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * Plaid personal finance categories (PFC): readable labels, a colour per
+ * primary category, and the spend-by-category breakdown.
+ *
+ * Primary codes come from Plaid's fixed taxonomy ("FOOD_AND_DRINK"); detailed
+ * codes repeat the primary as a prefix ("FOOD_AND_DRINK_GROCERIES"), which is
+ * dropped for display since the two are shown together.
+ */
+import { summarizeSpend } from "./recurring-data-formatter.js";
+
+// categoryOf (subscription-filters.js) files items without a category here.
+export const OTHER_CATEGORY = "OTHER";
+
+export const CATEGORIES = {
+    ENTERTAINMENT: { label: "Entertainment", color: "#8b5cf6" },
+    GENERAL_SERVICES: { label: "Services", color: "#0891b2" },
+    GENERAL_MERCHANDISE: { label: "Shopping", color: "#ec4899" },
+    FOOD_AND_DRINK: { label: "Food & drink", color: "#f97316" },
+    PERSONAL_CARE: { label: "Personal care", color: "#14b8a6" },
+    MEDICAL: { label: "Medical", color: "#ef4444" },
+    RENT_AND_UTILITIES: { label: "Rent & utilities", color: "#eab308" },
+    HOME_IMPROVEMENT: { label: "Home", color: "#a16207" },
+    TRANSPORTATION: { label: "Transportation", color: "#2563eb" },
+    TRAVEL: { label: "Travel", color: "#0ea5e9" },
+    LOAN_PAYMENTS: { label: "Loan payments", color: "#7c3aed" },
+    BANK_FEES: { label: "Bank fees", color: "#dc2626" },
+    GOVERNMENT_AND_NON_PROFIT: { label: "Government & non-profit", color: "#475569" },
+    TRANSFER_OUT: { label: "Transfers out", color: "#64748b" },
+    TRANSFER_IN: { label: "Transfers in", color: "#64748b" },
+    INCOME: { label: "Income", color: "#15803d" },
+    [OTHER_CATEGORY]: { label: "Other", color: "#94a3b8" },
+};
+
+// Words that stay upper-case (or take a fixed form) inside detailed codes.
+const WORD_FORMS = { TV: "TV", ATM: "ATM", AND: "and", OR: "or", OF: "of", NON: "non" };
+
+// "TV_AND_MOVIES" → "TV and movies"
+const sentenceCase = (code) =>
+    code
+        .split("_")
+        .filter(Boolean)
+        .map((w, i) => WORD_FORMS[w] ?? (i === 0 ? w[0] + w.slice(1).toLowerCase() : w.toLowerCase()))
+        .join(" ")
+        .replace(/\bnon /g, "non-");
+
+/** "FOOD_AND_DRINK" → "Food & drink"; unknown codes are sentence-cased; "—" when missing. */
+export function categoryLabel(primary) {
+    if (!primary) return "—";
+    return CATEGORIES[primary]?.label ?? sentenceCase(primary);
+}
+
+/**
+ * "ENTERTAINMENT_TV_AND_MOVIES" → "TV and movies". The primary prefix is
+ * stripped when it matches (pass it in, or it's looked up in CATEGORIES).
+ */
+export function subcategoryLabel(detailed, primary) {
+    if (!detailed) return "—";
+    const prefix = primary ?? Object.keys(CATEGORIES).find((p) => detailed.startsWith(`${p}_`));
+    const rest = prefix && detailed.startsWith(`${prefix}_`) ? detailed.slice(prefix.length + 1) : detailed;
+    return sentenceCase(rest) || categoryLabel(primary);
+}
+
+export const categoryColor = (primary) => (CATEGORIES[primary] ?? CATEGORIES[OTHER_CATEGORY]).color;
+
+/**
+ * Monthly spend per primary category, largest first:
+ *   [{ category, label, color, monthly, count, share }]
+ * Totals are frequency-normalized like the stat cards (summarizeSpend), so an
+ * irregular stream counts towards `count` but not `monthly`; `share` is of
+ * the combined monthly total (0 when that is 0).
+ */
+export function spendByCategory(items = []) {
+    const groups = new Map();
+    for (const item of items) {
+        const category = item?.personal_finance_category?.primary || OTHER_CATEGORY;
+        if (!groups.has(category)) groups.set(category, []);
+        groups.get(category).push(item);
+    }
+
+    const rows = [...groups].map(([category, group]) => ({
+        category,
+        label: categoryLabel(category),
+        color: categoryColor(category),
+        monthly: summarizeSpend(group).monthly,
+        count: group.length,
+    }));
+    const total = rows.reduce((sum, r) => sum + r.monthly, 0);
+    return rows
+        .map((r) => ({ ...r, share: total > 0 ? r.monthly / total : 0 }))
+        .sort((a, b) => b.monthly - a.monthly || b.count - a.count);
+}
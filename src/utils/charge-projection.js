@@ -0,0 +1,103 @@
+/**
+ * Project recurring items forward into dated charges for the Upcoming view.
+ *
+ * Each item's `predicted_next_date` anchors the schedule; further charges are
+ * stepped out by `frequency`. Monthly/annual steps are computed from the
+ * anchor (anchor + n months), not chained, so a 31st-of-month charge doesn't
+ * drift to the 28th forever after February.
+ *
+ * UNKNOWN frequencies contribute only their predicted date — we won't guess
+ * a cadence Plaid couldn't detect.
+ */
+import { addDays, addMonths, parseISODate, startOfToday, toISODate } from "./dates.js";
+
+export const PROJECTION_WINDOWS = [30, 60, 90];
+
+/** A SEMI_MONTHLY stream's two days of the month, [early, late], from one charge day. */
+export const semiMonthlyDays = (day) => (day <= 15 ? [day, day + 15] : [day - 15, day]);
+
+/**
+ * nth charge (n = 0 is the anchor itself) for a stream, or null when the
+ * frequency has no fixed step.
+ */
+export function nthChargeDate(anchor, frequency, n) {
+    switch (frequency) {
+        case "WEEKLY":
+            return addDays(anchor, 7 * n);
+        case "BIWEEKLY":
+            return addDays(anchor, 14 * n);
+        case "SEMI_MONTHLY": {
+            // Two charges a month, 15 days apart — the anchor day and anchor ± 15
+            // — with the later one clamped to month end like MONTHLY
+            // (recurrenceRule in subscription-export.js emits the same dates).
+            const [early, late] = semiMonthlyDays(anchor.getDate());
+            const slot = (anchor.getDate() === early ? 0 : 1) + n;
+            const month = addMonths(new Date(anchor.getFullYear(), anchor.getMonth(), 1), Math.floor(slot / 2));
+            const lastDay = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+            return new Date(month.getFullYear(), month.getMonth(), Math.min(slot % 2 === 0 ? early : late, lastDay));
+        }
+        case "MONTHLY":
+            return addMonths(anchor, n);
+        case "ANNUALLY":
+            return addMonths(anchor, 12 * n);
+        default:
+            return n === 0 ? anchor : null;
+    }
+}
+
+/**
+ * Charges falling within [today, today + days), sorted by date:
+ *   [{ date: "YYYY-MM-DD", item, amount }]
+ * Predicted dates already in the past (stale data) are rolled forward.
+ */
+export function projectCharges(items = [], { days = 30, today = startOfToday() } = {}) {
+    const end = addDays(today, days);
+    const charges = [];
+
+    for (const item of items) {
+        if (item?.status === "TOMBSTONED") continue;
+        const anchor = parseISODate(item?.predicted_next_date);
+        if (!anchor) continue;
+        const amount = Math.abs(Number(item?.average_amount?.amount ?? 0));
+
+        // Hard cap keeps a malformed anchor from looping forever (weekly over
+        // years of stale data stays well under it).
+        for (let n = 0; n < 1000; n++) {
+            const date = nthChargeDate(anchor, item.frequency, n);
+            if (!date || date >= end) break;
+            if (date >= today) charges.push({ date: toISODate(date), item, amount });
+        }
+    }
+
+    return charges.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/** [{ date, charges, total }] — one entry per day that has at least one charge. */
+export function groupByDay(charges = []) {
+    const days = new Map();
+    for (const c of charges) {
+        const day = days.get(c.date) ?? { date: c.date, charges: [], total: 0 };
+        day.charges.push(c);
+        day.total += c.amount;
+        days.set(c.date, day);
+    }
+    return [...days.values()];
+}
+
+/**
+ * Days bucketed into Sunday-start weeks:
+ *   [{ weekStart: "YYYY-MM-DD", days, total, count }]
+ */
+export function groupByWeek(days = []) {
+    const weeks = new Map();
+    for (const day of days) {
+        const d = parseISODate(day.date);
+        const weekStart = toISODate(addDays(d, -d.getDay()));
+        const week = weeks.get(weekStart) ?? { weekStart, days: [], total: 0, count: 0 };
+        week.days.push(day);
+        week.total += day.total;
+        week.count += day.charges.length;
+        weeks.set(weekStart, week);
+    }
+    return [...weeks.values()];
+}
@@ -0,0 +1,71 @@
+import { nthChargeDate, projectCharges } from "./charge-projection.js";
+import { parseISODate, toISODate } from "./dates.js";
+
+const series = (iso, frequency, count) =>
+    Array.from({ length: count }, (_, n) => toISODate(nthChargeDate(parseISODate(iso), frequency, n)));
+
+describe("nthChargeDate", () => {
+    test("steps weekly and biweekly by days", () => {
+        expect(series("2026-07-01", "WEEKLY", 3)).toEqual(["2026-07-01", "2026-07-08", "2026-07-15"]);
+        expect(series("2026-07-01", "BIWEEKLY", 3)).toEqual(["2026-07-01", "2026-07-15", "2026-07-29"]);
+    });
+
+    test("clamps monthly charges to month end without drifting", () => {
+        expect(series("2026-01-31", "MONTHLY", 4)).toEqual(["2026-01-31", "2026-02-28", "2026-03-31", "2026-04-30"]);
+    });
+
+    test("keeps annual charges on Feb 29 in leap years only", () => {
+        expect(series("2028-02-29", "ANNUALLY", 2)).toEqual(["2028-02-29", "2029-02-28"]);
+    });
+
+    test("puts semi-monthly charges 15 days apart", () => {
+        expect(series("2026-01-05", "SEMI_MONTHLY", 4)).toEqual(["2026-01-05", "2026-01-20", "2026-02-05", "2026-02-20"]);
+        expect(series("2026-01-16", "SEMI_MONTHLY", 3)).toEqual(["2026-01-16", "2026-02-01", "2026-02-16"]);
+    });
+
+    test("clamps the late semi-monthly day to month end", () => {
+        expect(series("2026-01-14", "SEMI_MONTHLY", 4)).toEqual(["2026-01-14", "2026-01-29", "2026-02-14", "2026-02-28"]);
+        expect(series("2026-01-31", "SEMI_MONTHLY", 5)).toEqual([
+            "2026-01-31",
+            "2026-02-16",
+            "2026-02-28",
+            "2026-03-16",
+            "2026-03-31",
+        ]);
+    });
+
+    test("gives UNKNOWN frequencies only the anchor", () => {
+        expect(toISODate(nthChargeDate(parseISODate("2026-07-01"), "UNKNOWN", 0))).toBe("2026-07-01");
+        expect(nthChargeDate(parseISODate("2026-07-01"), "UNKNOWN", 1)).toBeNull();
+    });
+});
+
+describe("projectCharges", () => {
+    const today = parseISODate("2026-07-10");
+
+    test("lists charges inside the window, sorted by date", () => {
+        const items = [
+            { description: "Weekly", frequency: "WEEKLY", predicted_next_date: "2026-07-12", average_amount: { amount: -5 } },
+            { description: "Monthly", frequency: "MONTHLY", predicted_next_date: "2026-07-11", average_amount: { amount: 10 } },
+        ];
+        const charges = projectCharges(items, { days: 14, today });
+        expect(charges.map((c) => [c.date, c.item.description, c.amount])).toEqual([
+            ["2026-07-11", "Monthly", 10],
+            ["2026-07-12", "Weekly", 5],
+            ["2026-07-19", "Weekly", 5],
+        ]);
+    });
+
+    test("rolls stale predicted dates forward", () => {
+        const items = [{ frequency: "MONTHLY", predicted_next_date: "2026-05-20", average_amount: { amount: 10 } }];
+        expect(projectCharges(items, { days: 30, today }).map((c) => c.date)).toEqual(["2026-07-20"]);
+    });
+
+    test("skips ended streams and items without a predicted date", () => {
+        const items = [
+            { frequency: "MONTHLY", status: "TOMBSTONED", predicted_next_date: "2026-07-15" },
+            { frequency: "MONTHLY", predicted_next_date: null },
+        ];
+        expect(projectCharges(items, { days: 30, today })).toEqual([]);
+    });
+});
@@ -0,0 +1,63 @@
+/**
+ * Date helpers for Plaid's calendar dates ("YYYY-MM-DD").
+ *
+ * Plaid dates carry no time or zone. `new Date("2026-07-15")` parses them as
+ * UTC midnight, which renders as Jul 14 anywhere west of GMT — so everything
+ * here works on local-midnight Dates instead.
+ */
+
+/** "2026-07-15" → Date at local midnight; null for missing/invalid input. */
+export function parseISODate(iso) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(iso ?? ""));
+    if (!m) return null;
+    const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+    return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/** "Jul 15" (or with `opts`, any toLocaleDateString format); "—" when missing. */
+export function formatISODate(iso, opts = { month: "short", day: "numeric" }) {
+    const d = parseISODate(iso);
+    return d ? d.toLocaleDateString("en-US", opts) : "—";
+}
+
+/** Whole calendar months from `from` to `to` (Dates); 0 when `to` is earlier. */
+export function monthsBetween(from, to) {
+    let months = (to.getFullYear() - from.getFullYear()) * 12 + (to.getMonth() - from.getMonth());
+    if (to.getDate() < from.getDate()) months -= 1;
+    return Math.max(0, months);
+}
+
+/** 27 → "2 years, 3 months"; 0 → "Less than a month". */
+export function formatDuration(months) {
+    if (!months) return "Less than a month";
+    const years = Math.floor(months / 12);
+    const rest = months % 12;
+    const part = (n, unit) => `${n} ${unit}${n === 1 ? "" : "s"}`;
+    if (!years) return part(rest, "month");
+    return rest ? `${part(years, "year")}, ${part(rest, "month")}` : part(years, "year");
+}
+
+/** Date → "2026-07-15" (local calendar day). */
+export function toISODate(date) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/** New Date `n` days after `date`. */
+export function addDays(date, n) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + n);
+}
+
+/** New Date `n` months after `date`, clamped to month end (Jan 31 + 1 → Feb 28/29). */
+export function addMonths(date, n) {
+    const target = new Date(date.getFullYear(), date.getMonth() + n, 1);
+    const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+    target.setDate(Math.min(date.getDate(), lastDay));
+    return target;
+}
+
+/** Local midnight today. */
+export function startOfToday() {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+}
@@ -0,0 +1,25 @@
+/**
+ * User dispositions: what the user has decided about a subscription.
+ * Values match the Worker's DISPOSITIONS (worker/src/index.js); "unmarked" is
+ * a filter-only value for items the user hasn't touched.
+ */
+export const DISPOSITIONS = [
+    { value: "keep", label: "I use this", color: "#166534", bg: "#dcfce7", border: "#86efac" },
+    { value: "cancel", label: "Plan to cancel", color: "#9a3412", bg: "#ffedd5", border: "#fdba74" },
+    { value: "not_mine", label: "Don't recognise", color: "#b91c1c", bg: "#fee2e2", border: "#fca5a5" },
+];
+
+export const UNMARKED = "unmarked";
+
+/** Config entry for a disposition value, or null. */
+export const dispositionConfig = (value) => DISPOSITIONS.find((d) => d.value === value) ?? null;
+
+/**
+ * Items with `disposition` attached from the Worker's { [stream_id]: { disposition } } map.
+ * Items without a stream_id can't be marked and always come back null.
+ */
+export const withDispositions = (items = [], marks = {}) =>
+    items.map((item) => ({
+        ...item,
+        disposition: (item?.stream_id && marks[item.stream_id]?.disposition) || null,
+    }));
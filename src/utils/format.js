@@ -0,0 +1,16 @@
+/**
+ * Display formatting shared by every view: money and Plaid frequency codes.
+ * Dates live in dates.js.
+ */
+
+/** 9.5 or -9.5 → "$9.50". Plaid signs amounts by direction; views show magnitudes. */
+export const toUSD = (n) =>
+    Math.abs(Number(n ?? 0)).toLocaleString("en-US", {
+        style: "currency",
+        currency: "USD",
+        minimumFractionDigits: 2,
+    });
+
+/** "SEMI_MONTHLY" → "Semi-monthly"; "Unknown" when missing. */
+export const frequencyLabel = (code) =>
+    code ? code[0] + code.slice(1).toLowerCase().replace(/_/g, "-") : "Unknown";
@@ -1,3 +1,193 @@
+// Also bundled into the Worker (worker/src/subscriptions-v2.js), as are the
+// modules it pulls in — keep them free of React and browser-only APIs.
+import { monthsBetween, parseISODate } from "./dates.js";
+
+/**
+ * Monthly-equivalent multiplier per Plaid stream frequency.
+ * WEEKLY → 52 charges/year ÷ 12, BIWEEKLY → 26 ÷ 12, SEMI_MONTHLY → twice a month.
+ * UNKNOWN (or anything Plaid adds later) is intentionally absent: there is no
+ * honest way to annualize it, so callers get null and report it separately.
+ */
+export const MONTHLY_FACTOR = {
+    WEEKLY: 52 / 12,
+    BIWEEKLY: 26 / 12,
+    SEMI_MONTHLY: 2,
+    MONTHLY: 1,
+    ANNUALLY: 1 / 12,
+};
+
+/**
+ * Monthly equivalent of one charge of `amount` at `frequency`, or null when the
+ * frequency is UNKNOWN / missing. Amount is taken as an absolute value.
+ */
+export function toMonthlyAmount(amount, frequency) {
+    const factor = MONTHLY_FACTOR[String(frequency || "").toUpperCase()];
+    if (factor === undefined) return null;
+    return Math.abs(Number(amount ?? 0)) * factor;
+}
+
+/**
+ * Totals across normalized items (see toRecurringItems):
+ *   { monthly, yearly, unknownCount, unknownAmount }
+ * Items with an unknown frequency are excluded from monthly/yearly and counted
+ * in unknownCount; unknownAmount is the sum of their per-charge amounts.
+ */
+export function summarizeSpend(items = []) {
+    return items.reduce(
+        (acc, item) => {
+            if (item?.monthly_amount == null) {
+                acc.unknownCount += 1;
+                acc.unknownAmount += Math.abs(Number(item?.average_amount?.amount ?? 0));
+            } else {
+                acc.monthly += item.monthly_amount;
+                acc.yearly += item.yearly_amount;
+            }
+            return acc;
+        },
+        { monthly: 0, yearly: 0, unknownCount: 0, unknownAmount: 0 }
+    );
+}
+
+// Only http(s) URLs survive — a merchant website or logo is rendered as a link
+// / image, so anything else (javascript:, data:) is dropped. Bare domains
+// ("adobe.com") get https://.
+const httpUrl = (value) => {
+    if (typeof value !== "string" || !value.trim()) return null;
+    const raw = value.trim();
+    try {
+        const url = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(raw) ? raw : `https://${raw}`);
+        return url.protocol === "https:" || url.protocol === "http:" ? url.href : null;
+    } catch {
+        return null;
+    }
+};
+
+/** "https://www.adobe.com/" → "adobe.com"; null for a missing or invalid URL. */
+export function websiteHost(url) {
+    try {
+        return url ? new URL(url).hostname.replace(/^www\./, "") : null;
+    } catch {
+        return null;
+    }
+}
+
+// account_id → account from the response's `accounts` list (the Worker builds
+// it from Plaid Link metadata; absent for data cached before multi-bank).
+const accountIndex = (resp) =>
+    new Map(
+        (resp && Array.isArray(resp.accounts) ? resp.accounts : [])
+            .filter((a) => a && a.account_id)
+            .map((a) => [a.account_id, a])
+    );
+
+// One Plaid stream → one normalized item (shape documented on toRecurringItems).
+const pickFields = (s, accounts = new Map()) => {
+    // keep numeric; UI can format/abs if desired
+    const amount = Number(
+        (s.average_amount && s.average_amount.amount) ??
+        (s.last_amount && s.last_amount.amount) ??
+        0
+    );
+    const monthly = toMonthlyAmount(amount, s.frequency);
+    const account = accounts.get(s.account_id);
+    return {
+        account_id: s.account_id,
+        account_name: (account && account.name) || null,
+        account_mask: (account && account.mask) || null,
+        item_id: s.item_id || null,
+        institution_name: s.institution_name || (account && account.institution_name) || null,
+        stream_id: s.stream_id || null,
+        average_amount: { amount },
+        last_amount: {
+            amount: s.last_amount && s.last_amount.amount != null
+                ? Number(s.last_amount.amount)
+                : null,
+        },
+        description:
+            s.merchant_name && s.merchant_name.trim().length
+                ? s.merchant_name
+                : (s.description || ""),
+        merchant_entity_id: s.merchant_entity_id || null,
+        logo_url: httpUrl(s.logo_url),
+        website: httpUrl(s.website),
+        frequency: s.frequency || null,
+        monthly_amount: monthly,
+        yearly_amount: monthly == null ? null : monthly * 12,
+        first_date: s.first_date || null,
+        last_date: s.last_date || null,
+        status: s.status || null,
+        transaction_ids: Array.isArray(s.transaction_ids) ? s.transaction_ids : [],
+        personal_finance_category: {
+            primary:
+                (s.personal_finance_category &&
+                    s.personal_finance_category.primary) || null,
+            detailed:
+                (s.personal_finance_category &&
+                    s.personal_finance_category.detailed) || null,
+        },
+        predicted_next_date: s.predicted_next_date || null,
+        risk: s.flag_type || s.risk || "none",
+        risk_reason: s.explanation || s.risk_reason || null,
+    };
+};
+
+/**
+ * Default share by which a stream's latest charge must exceed its baseline to
+ * count as a price change (0.05 → 5%). Plan price hikes are usually 10–20%;
+ * anything under 5% is more likely tax or FX rounding on the same plan.
+ */
+export const PRICE_CHANGE_THRESHOLD = 0.05;
+
+/**
+ * Compare a normalized item's latest charge against two baselines:
+ *   - the same stream in `previous` (an earlier snapshot's items), when one is
+ *     given and it has a last charge — "went up since we last looked", and
+ *   - the stream's own average_amount.
+ * A rise past either one is reported (the previous one first), so a price that
+ * went up before the last snapshot still shows against the average. Otherwise
+ * a drop is reported against `previous` when given, else the average.
+ * Returns null when there's nothing to compare or the change is under
+ * `threshold`, else:
+ *   { direction: "up"|"down", last, baseline, delta, pct, against: "previous"|"average" }
+ * Amounts are absolute; delta = last − baseline (negative when it went down).
+ */
+export function detectPriceChange(item, { threshold = PRICE_CHANGE_THRESHOLD, previous } = {}) {
+    const last = item?.last_amount?.amount;
+    if (last == null) return null;
+
+    const compare = (amount, against) => {
+        const baseline = Math.abs(Number(amount ?? 0));
+        if (!baseline) return null;
+        const delta = Math.abs(last) - baseline;
+        const pct = delta / baseline;
+        if (Math.abs(pct) < threshold || Math.abs(delta) < 0.01) return null;
+        return { direction: delta > 0 ? "up" : "down", last: Math.abs(last), baseline, delta, pct, against };
+    };
+
+    const prior = previous?.last_amount?.amount;
+    const vsPrevious = prior != null ? compare(prior, "previous") : null;
+    const vsAverage = compare(item?.average_amount?.amount, "average");
+    const up = [vsPrevious, vsAverage].find((change) => change?.direction === "up");
+    return up ?? (prior != null ? vsPrevious : vsAverage);
+}
+
+/** Streams whose price went up (see detectPriceChange) — for counts and badges. */
+export const isPriceIncrease = (item) => item?.price_change?.direction === "up";
+
+// Plaid marks a stream ended either by clearing is_active or, when it merged or
+// retired the stream, with status TOMBSTONED (which can still say is_active).
+const isEndedStream = (s) => !s.is_active || s.status === "TOMBSTONED";
+
+// Sort by predicted_next_date (ascending); missing dates last
+const byNextDate = (a, b) => {
+    const ax = a.predicted_next_date || "";
+    const bx = b.predicted_next_date || "";
+    if (!ax && !bx) return 0;
+    if (!ax) return 1;
+    if (!bx) return -1;
+    return ax.localeCompare(bx);
+};
+
 /**
  * Normalize Plaid recurring streams into a flat list of "recurring items".
  *
@@ -5,82 +195,183 @@
  *   resp: an object with the shape Plaid returns from transactions/recurring/get:
  *     {
  *       inflow_streams:  [ { ...stream } ],
- *       outflow_streams: [ { ...stream } ]
+ *       outflow_streams: [ { ...stream } ],
+ *       accounts:        [ { account_id, name, mask, institution_name } ]  (optional)
  *     }
  *   - Each stream may include:
- *       - account_id
+ *       - account_id, stream_id
+ *       - item_id, institution_name (stamped by the Worker per linked bank)
  *       - average_amount.amount (or last_amount.amount as a fallback)
  *       - merchant_name / description
+ *       - merchant_entity_id, logo_url, website (optional; Plaid's canonical
+ *         merchant, when Pipedream copies it from the stream's transactions)
  *       - frequency
- *       - last_date
- *       - personal_finance_category.detailed
+ *       - first_date / last_date, last_amount.amount
+ *       - status (MATURE | EARLY_DETECTION | TOMBSTONED), transaction_ids
+ *       - personal_finance_category.primary / .detailed
  *       - predicted_next_date
- *       - is_active (boolean)  ← used to filter active streams only
+ *       - is_active (boolean)  ← used to filter active streams only (see isEndedStream)
  *
  * OUTPUT:
  *   An array of normalized items:
  *     [
  *       {
  *         account_id,
+ *         account_name, account_mask,          // from `accounts`, or null
+ *         item_id, institution_name,           // which linked bank, or null
+ *         stream_id,
  *         average_amount: { amount: Number },
+ *         last_amount: { amount: Number|null }, // most recent charge
  *         description,                         // prefers merchant_name, falls back to description
+ *         merchant_entity_id,                  // Plaid merchant id or null
+ *         logo_url, website,                   // http(s) URLs or null
  *         frequency,                           // string or null
+ *         monthly_amount,                      // Number, or null when frequency is UNKNOWN
+ *         yearly_amount,                       // Number, or null when frequency is UNKNOWN
+ *         first_date,                          // ISO date or null
  *         last_date,                           // ISO date or null
- *         personal_finance_category: { detailed: string|null },
- *         predicted_next_date                  // ISO date or null
+ *         status,                              // Plaid stream status or null
+ *         transaction_ids,                     // string[] (possibly empty)
+ *         personal_finance_category: { primary: string|null, detailed: string|null },
+ *         predicted_next_date,                 // ISO date or null
+ *         risk,                                // flag_type: likely_fraud | likely_scam | worth_watching | none
+ *         risk_reason,                         // full explanation text or null
+ *         price_change                         // detectPriceChange result or null
  *       },
  *       ...
  *     ]
  *
  * NOTES:
- *   - Only streams where `is_active === true` are included.
+ *   - Only streams where `is_active === true` and status isn't TOMBSTONED are included.
  *   - Amount is coerced to a Number. It prefers `average_amount.amount`, otherwise `last_amount.amount`, else 0.
+ *   - monthly_amount / yearly_amount are absolute values scaled by MONTHLY_FACTOR.
+ *   - price_change compares last vs average, or vs `options.previous` (items
+ *     from an earlier snapshot, matched on stream_id) when given; the
+ *     threshold is `options.priceThreshold` (default PRICE_CHANGE_THRESHOLD).
  *   - Sort order: ascending by `predicted_next_date`; missing dates are placed at the end.
  */
-export async function toRecurringItems(resp) {
+export async function toRecurringItems(resp, { previous = [], priceThreshold = PRICE_CHANGE_THRESHOLD } = {}) {
     // Only consider outflow_streams (guarded)
     const outflows = (resp && Array.isArray(resp.outflow_streams))
         ? resp.outflow_streams
         : [];
 
-    const pickFields = (s) => ({
-        account_id: s.account_id,
-        average_amount: {
-            // keep numeric; UI can format/abs if desired
-            amount: Number(
-                (s.average_amount && s.average_amount.amount) ??
-                (s.last_amount && s.last_amount.amount) ??
-                0
-            ),
-        },
-        description:
-            s.merchant_name && s.merchant_name.trim().length
-                ? s.merchant_name
-                : (s.description || ""),
-        frequency: s.frequency || null,
-        last_date: s.last_date || null,
-        personal_finance_category: {
-            detailed:
-                (s.personal_finance_category &&
-                    s.personal_finance_category.detailed) || null,
-        },
-        predicted_next_date: s.predicted_next_date || null,
-        risk: s.flag_type || s.risk || "none",
-        risk_reason: s.explanation || s.risk_reason || null,
-    });
+    const accounts = accountIndex(resp);
+    const priorById = new Map(
+        (previous || []).filter((p) => p?.stream_id).map((p) => [p.stream_id, p])
+    );
 
     // Only active streams
-    const combined = outflows.filter((s) => s.is_active).map(pickFields);
+    const combined = outflows
+        .filter((s) => !isEndedStream(s))
+        .map((s) => pickFields(s, accounts))
+        .map((item) => ({
+            ...item,
+            price_change: detectPriceChange(item, {
+                threshold: priceThreshold,
+                previous: priorById.get(item.stream_id),
+            }),
+        }));
 
     // Sort by predicted_next_date (ascending); missing dates last
-    combined.sort((a, b) => {
-        const ax = a.predicted_next_date || "";
-        const bx = b.predicted_next_date || "";
-        if (!ax && !bx) return 0;
-        if (!ax) return 1;
-        if (!bx) return -1;
-        return ax.localeCompare(bx);
-    });
+    combined.sort(byNextDate);
 
     return combined;
 }
+
+/**
+ * Income classification from the inflow's personal_finance_category:
+ *   payroll  — INCOME_WAGES
+ *   benefits — unemployment, pensions/retirement, tax refunds
+ *   transfer — any TRANSFER_IN_* (e.g. money moved in from another account)
+ *   other    — dividends, interest, everything else
+ */
+const BENEFIT_CODES = [
+    "INCOME_UNEMPLOYMENT",
+    "INCOME_RETIREMENT_PENSION",
+    "INCOME_TAX_REFUND",
+];
+
+export function incomeTypeOf(item) {
+    const { primary, detailed } = item?.personal_finance_category ?? {};
+    if (detailed === "INCOME_WAGES") return "payroll";
+    if (BENEFIT_CODES.includes(detailed)) return "benefits";
+    if (primary === "TRANSFER_IN") return "transfer";
+    return "other";
+}
+
+/**
+ * Normalize active inflow_streams (recurring income) the same way
+ * toRecurringItems handles outflows, plus `income_type` (see incomeTypeOf).
+ * Plaid reports inflow amounts as negative numbers; they're kept as-is here
+ * and every total (monthly_amount, summarizeSpend) uses absolute values.
+ * Sorted largest monthly equivalent first.
+ */
+export async function toIncomeItems(resp) {
+    const inflows = (resp && Array.isArray(resp.inflow_streams))
+        ? resp.inflow_streams
+        : [];
+    const accounts = accountIndex(resp);
+
+    return inflows
+        .filter((s) => !isEndedStream(s))
+        .map((s) => pickFields(s, accounts))
+        .map((item) => ({ ...item, income_type: incomeTypeOf(item) }))
+        .sort((a, b) => (b.monthly_amount ?? 0) - (a.monthly_amount ?? 0));
+}
+
+/**
+ * Recurring income vs recurring spend, both as monthly equivalents:
+ *   { monthlyIncome, monthlySpend, committedShare }
+ * committedShare is monthlySpend / monthlyIncome (0–1+), or null without income.
+ */
+export function summarizeIncome(incomeItems = [], spendItems = []) {
+    const monthlyIncome = summarizeSpend(incomeItems).monthly;
+    const monthlySpend = summarizeSpend(spendItems).monthly;
+    return {
+        monthlyIncome,
+        monthlySpend,
+        committedShare: monthlyIncome > 0 ? monthlySpend / monthlyIncome : null,
+    };
+}
+
+/**
+ * Outflow streams that have stopped (inactive or TOMBSTONED) with a last charge
+ * inside the past `withinMonths` months — the "Recently ended" list.
+ * Same item shape as toRecurringItems; most recently ended first.
+ */
+export async function toEndedItems(resp, { withinMonths = 12, today = new Date() } = {}) {
+    const outflows = (resp && Array.isArray(resp.outflow_streams))
+        ? resp.outflow_streams
+        : [];
+    const accounts = accountIndex(resp);
+
+    return outflows
+        .filter(isEndedStream)
+        .map((s) => pickFields(s, accounts))
+        .filter((item) => {
+            const last = parseISODate(item.last_date);
+            return last && last <= today && monthsBetween(last, today) < withinMonths;
+        })
+        .sort((a, b) => b.last_date.localeCompare(a.last_date));
+}
+
+/**
+ * What ended subscriptions (from toEndedItems) would have cost had they kept
+ * running: { savedSoFar, annualized }.
+ *   savedSoFar — monthly equivalent × whole months since each last charge
+ *   annualized — yearly equivalent of everything that ended
+ * Unknown-frequency streams can't be projected and are left out of both.
+ */
+export function cancellationSavings(endedItems = [], { today = new Date() } = {}) {
+    return endedItems.reduce(
+        (acc, item) => {
+            const last = parseISODate(item?.last_date);
+            if (item?.monthly_amount == null || !last) return acc;
+            acc.savedSoFar += item.monthly_amount * monthsBetween(last, today);
+            acc.annualized += item.yearly_amount;
+            return acc;
+        },
+        { savedSoFar: 0, annualized: 0 }
+    );
+}
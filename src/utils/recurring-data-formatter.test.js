@@ -0,0 +1,61 @@
+import { detectPriceChange, isPriceIncrease } from "./recurring-data-formatter.js";
+
+const stream = (last, average) => ({ last_amount: { amount: last }, average_amount: { amount: average } });
+const previous = (last) => ({ last_amount: { amount: last } });
+
+describe("detectPriceChange", () => {
+    test("flags a rise over the average", () => {
+        expect(detectPriceChange(stream(11.99, 9.99))).toMatchObject({
+            direction: "up",
+            last: 11.99,
+            baseline: 9.99,
+            against: "average",
+        });
+    });
+
+    test("uses magnitudes, so outflow signs don't matter", () => {
+        expect(detectPriceChange(stream(-12, -10))).toMatchObject({ direction: "up", delta: 2 });
+    });
+
+    test("ignores changes under the threshold", () => {
+        expect(detectPriceChange(stream(10.2, 10))).toBeNull();
+        expect(detectPriceChange(stream(10.2, 10), { threshold: 0.01 })).toMatchObject({ direction: "up" });
+    });
+
+    test("prefers the previous snapshot for a rise since then", () => {
+        expect(detectPriceChange(stream(15, 15), { previous: previous(10) })).toMatchObject({
+            direction: "up",
+            baseline: 10,
+            against: "previous",
+        });
+    });
+
+    test("still flags a rise over the average that predates the previous snapshot", () => {
+        expect(detectPriceChange(stream(15, 10), { previous: previous(15) })).toMatchObject({
+            direction: "up",
+            baseline: 10,
+            against: "average",
+        });
+    });
+
+    test("reports a drop against the previous snapshot when there is one", () => {
+        expect(detectPriceChange(stream(10, 10), { previous: previous(12) })).toMatchObject({
+            direction: "down",
+            against: "previous",
+        });
+        expect(detectPriceChange(stream(8, 10), { previous: previous(8) })).toBeNull();
+    });
+
+    test("returns null without a last charge or a usable baseline", () => {
+        expect(detectPriceChange({ average_amount: { amount: 10 } })).toBeNull();
+        expect(detectPriceChange(stream(10, 0))).toBeNull();
+    });
+});
+
+describe("isPriceIncrease", () => {
+    test("is true only for an upward price_change", () => {
+        expect(isPriceIncrease({ price_change: { direction: "up" } })).toBe(true);
+        expect(isPriceIncrease({ price_change: { direction: "down" } })).toBe(false);
+        expect(isPriceIncrease({ price_change: null })).toBe(false);
+    });
+});
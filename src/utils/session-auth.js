@@ -0,0 +1,92 @@
+/**
+ * Per-user proof ({ uid, ts, proof, v }) for Worker calls, and the Plaid Link
+ * session that has to survive a bank's OAuth redirect.
+ *
+ * Glide hands the proof over in the URL fragment, which browsers never send
+ * to a server. A bank's OAuth flow navigates away and back to /oauth-return
+ * without it, so just before Link opens the proof and link token are stashed
+ * in sessionStorage: per-tab, never part of a request, cleared as soon as
+ * Link succeeds or exits (redirect or not). Nothing is ever put in a query
+ * string. The Worker session token (see worker-api.js) goes in the stash
+ * too — with single-use proofs the stashed proof has already been spent.
+ */
+import { currentSession, resumeSession } from "./worker-api.js";
+
+const STASH_KEY = "finequity:link-session";
+
+// The stash is only useful while the proof still is (Worker PROOF_WINDOW_MS).
+const STASH_MAX_AGE_MS = 15 * 60 * 1000;
+
+const storage = () => {
+    try {
+        return window.sessionStorage;
+    } catch {
+        return null; // blocked (e.g. third-party iframe storage partitioning off)
+    }
+};
+
+/**
+ * Saves what /oauth-return needs to resume Link: the proof, the link token,
+ * and how Link was opened (mode "connect" | "add" | "relink", plus the
+ * relink entry for update mode).
+ */
+export function stashLinkSession({ auth, linkToken, mode = "connect", relink = null }) {
+    storage()?.setItem(
+        STASH_KEY,
+        JSON.stringify({ auth, session: currentSession(), linkToken, mode, relink, savedAt: Date.now() })
+    );
+}
+
+/** The stashed Link session, or null when missing, malformed or stale. */
+export function peekLinkSession() {
+    try {
+        const stash = JSON.parse(storage()?.getItem(STASH_KEY) ?? "null");
+        if (!stash?.auth?.uid || !stash.linkToken) return null;
+        if (Date.now() - Number(stash.savedAt) > STASH_MAX_AGE_MS) return null;
+        return stash;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Adds Link's onEvent funnel so far to the stash: OPEN_OAUTH navigates away
+ * before onExit / onSuccess could send it, so /oauth-return sends it instead.
+ */
+export function stashLinkEvents(events) {
+    const stash = peekLinkSession();
+    if (stash) storage()?.setItem(STASH_KEY, JSON.stringify({ ...stash, events }));
+}
+
+export function clearLinkSession() {
+    storage()?.removeItem(STASH_KEY);
+}
+
+// Read once per page load; re-renders (and StrictMode double-invokes) get the same object.
+let _auth = null;
+
+/**
+ * The user's proof: from #uid=..&ts=..&proof=..[&v=2] when Glide just opened the
+ * page (the fragment is then scrubbed from the address bar), otherwise from a
+ * Link session stashed before an OAuth redirect (whose Worker session is
+ * resumed too). Fields are null when neither is available; v (the proof
+ * scheme) is also null for legacy links without it.
+ */
+export function readAuth() {
+    if (_auth) return _auth;
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    if (params.get("uid")) {
+        _auth = { uid: params.get("uid"), ts: params.get("ts"), proof: params.get("proof"), v: params.get("v") };
+        window.history.replaceState(null, "", window.location.pathname + window.location.search);
+        return _auth;
+    }
+    const stash = peekLinkSession();
+    resumeSession(stash?.session);
+    _auth = {
+        uid: stash?.auth?.uid ?? null,
+        ts: stash?.auth?.ts ?? null,
+        proof: stash?.auth?.proof ?? null,
+        v: stash?.auth?.v ?? null,
+    };
+    return _auth;
+}
@@ -0,0 +1,64 @@
+/**
+ * What changed between two lists of normalized recurring items (see
+ * toRecurringItems) — the previous history snapshot and the current data.
+ * Streams are matched on stream_id; a stream missing from the current list
+ * has ended (or moved to "Recently ended"), one missing from the previous
+ * list is new.
+ */
+import { riskKeyOf } from "./subscription-filters.js";
+
+// Smallest amount difference reported, so float noise never shows as "$0.00".
+const MIN_AMOUNT_DELTA = 0.01;
+
+// Last charge when known; the average otherwise.
+const amountOf = (item) =>
+    Math.abs(Number(item?.last_amount?.amount ?? item?.average_amount?.amount ?? 0));
+
+const byStream = (items) => new Map(items.filter((i) => i?.stream_id).map((i) => [i.stream_id, i]));
+
+/**
+ *   {
+ *     added:   [item],
+ *     removed: [item],                                  // as last seen
+ *     amounts: [{ item, from, to, delta }],             // absolute amounts
+ *     risks:   [{ item, from, to }],                    // riskKeyOf keys
+ *     count                                             // total of all four
+ *   }
+ */
+export function diffRecurringItems(previous = [], current = []) {
+    const before = byStream(previous);
+    const after = byStream(current);
+
+    const added = [...after.values()].filter((i) => !before.has(i.stream_id));
+    const removed = [...before.values()].filter((i) => !after.has(i.stream_id));
+    const amounts = [];
+    const risks = [];
+
+    for (const [id, item] of after) {
+        const old = before.get(id);
+        if (!old) continue;
+        const from = amountOf(old);
+        const to = amountOf(item);
+        if (Math.abs(to - from) >= MIN_AMOUNT_DELTA) amounts.push({ item, from, to, delta: to - from });
+        if (riskKeyOf(old) !== riskKeyOf(item)) risks.push({ item, from: riskKeyOf(old), to: riskKeyOf(item) });
+    }
+
+    return {
+        added,
+        removed,
+        amounts,
+        risks,
+        count: added.length + removed.length + amounts.length + risks.length,
+    };
+}
+
+/**
+ * The snapshot to compare against: the newest one taken before the data on
+ * screen (`fetchedAt`, ISO). The newest snapshot usually *is* that data, so
+ * it's skipped by timestamp; with no fetchedAt (legacy cache) the second
+ * newest is used. `snapshots` are newest first, as the Worker returns them.
+ */
+export function previousSnapshot(snapshots = [], fetchedAt = null) {
+    if (!fetchedAt) return snapshots[1] ?? null;
+    return snapshots.find((s) => s?.fetchedAt && s.fetchedAt < fetchedAt) ?? null;
+}
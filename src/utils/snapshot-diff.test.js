@@ -0,0 +1,59 @@
+import { diffRecurringItems, previousSnapshot } from "./snapshot-diff.js";
+
+const stream = (id, overrides) => ({ stream_id: id, last_amount: { amount: 10 }, risk: "none", ...overrides });
+
+describe("diffRecurringItems", () => {
+    test("reports added and removed streams by stream_id", () => {
+        const diff = diffRecurringItems([stream("a"), stream("b")], [stream("b"), stream("c")]);
+        expect(diff.added.map((i) => i.stream_id)).toEqual(["c"]);
+        expect(diff.removed.map((i) => i.stream_id)).toEqual(["a"]);
+        expect(diff.count).toBe(2);
+    });
+
+    test("reports amount changes in absolute terms, ignoring float noise", () => {
+        const diff = diffRecurringItems(
+            [stream("a", { last_amount: { amount: -10 } }), stream("b", { last_amount: { amount: 0.1 + 0.2 } })],
+            [stream("a", { last_amount: { amount: -12.5 } }), stream("b", { last_amount: { amount: 0.3 } })]
+        );
+        expect(diff.amounts).toEqual([{ item: expect.objectContaining({ stream_id: "a" }), from: 10, to: 12.5, delta: 2.5 }]);
+    });
+
+    test("falls back to the average when there's no last charge", () => {
+        const diff = diffRecurringItems(
+            [stream("a", { last_amount: null, average_amount: { amount: 10 } })],
+            [stream("a", { last_amount: null, average_amount: { amount: 11 } })]
+        );
+        expect(diff.amounts.map((a) => [a.from, a.to])).toEqual([[10, 11]]);
+    });
+
+    test("reports risk changes as riskKeyOf keys", () => {
+        const diff = diffRecurringItems([stream("a", { risk: "NONE" })], [stream("a", { risk: "LIKELY_SCAM" })]);
+        expect(diff.risks.map(({ from, to }) => [from, to])).toEqual([["none", "likely_scam"]]);
+        expect(diffRecurringItems([stream("a", { risk: "NONE" })], [stream("a", { risk: "none" })]).count).toBe(0);
+    });
+
+    test("leaves items without a stream_id out", () => {
+        expect(diffRecurringItems([{ description: "x" }], [{ description: "y" }]).count).toBe(0);
+    });
+});
+
+describe("previousSnapshot", () => {
+    const snapshots = [
+        { date: "2026-07-10", fetchedAt: "2026-07-10T12:00:00.000Z" },
+        { date: "2026-07-09", fetchedAt: "2026-07-09T12:00:00.000Z" },
+        { date: "2026-07-01", fetchedAt: "2026-07-01T12:00:00.000Z" },
+    ];
+
+    test("skips the snapshot of the data on screen", () => {
+        expect(previousSnapshot(snapshots, "2026-07-10T12:00:00.000Z").date).toBe("2026-07-09");
+    });
+
+    test("uses the second newest without a fetchedAt", () => {
+        expect(previousSnapshot(snapshots, null).date).toBe("2026-07-09");
+    });
+
+    test("returns null when nothing is older", () => {
+        expect(previousSnapshot(snapshots, "2026-06-01T00:00:00.000Z")).toBeNull();
+        expect(previousSnapshot([], null)).toBeNull();
+    });
+});
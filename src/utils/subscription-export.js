@@ -0,0 +1,193 @@
+/**
+ * Export the subscription list for use outside the app: CSV for spreadsheets,
+ * JSON for the normalized items as-is, and iCalendar (.ics) so upcoming
+ * charges land in the user's calendar app.
+ *
+ * The builders are pure (string in, string out); `downloadFile` is the only
+ * part that touches the DOM.
+ */
+import { parseISODate, startOfToday, toISODate } from "./dates.js";
+import { semiMonthlyDays } from "./charge-projection.js";
+import { riskKeyOf } from "./subscription-filters.js";
+
+/** "finequity-subscriptions-2026-07-15.csv" */
+export const exportFilename = (ext, today = startOfToday()) =>
+    `finequity-subscriptions-${toISODate(today)}.${ext}`;
+
+const amountOf = (item) => Math.abs(Number(item?.average_amount?.amount ?? 0));
+
+/* --------------------------------------------------------------------------
+ * CSV
+ * ------------------------------------------------------------------------*/
+
+export const CSV_COLUMNS = [
+    ["Description", (i) => i.description ?? ""],
+    ["Amount", (i) => amountOf(i).toFixed(2)],
+    ["Frequency", (i) => i.frequency ?? ""],
+    ["Next date", (i) => i.predicted_next_date ?? ""],
+    ["Category", (i) => i.personal_finance_category?.primary ?? ""],
+    ["Risk", (i) => i.risk ?? ""],
+    ["Explanation", (i) => i.risk_reason ?? ""],
+];
+
+// Merchant names come from bank data: a leading = + - @ would make a
+// spreadsheet evaluate the cell as a formula, so such text is quoted with '.
+const csvCell = (value) => {
+    let s = String(value);
+    if (/^[=+\-@\t\r]/.test(s) && Number.isNaN(Number(s))) s = `'${s}`;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/** One row per item, header first; CRLF line endings per RFC 4180. */
+export function toCSV(items = []) {
+    const rows = [CSV_COLUMNS.map(([header]) => header)];
+    for (const item of items) rows.push(CSV_COLUMNS.map(([, get]) => get(item)));
+    return rows.map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+/* --------------------------------------------------------------------------
+ * JSON
+ * ------------------------------------------------------------------------*/
+
+/** The items exactly as the app holds them, with when they were exported. */
+export function toJSON(items = [], now = new Date()) {
+    return JSON.stringify({ exported_at: now.toISOString(), count: items.length, items }, null, 2);
+}
+
+/* --------------------------------------------------------------------------
+ * iCalendar
+ * ------------------------------------------------------------------------*/
+
+// Day-of-month past 28 doesn't exist in every month. Calendars skip such
+// months for a plain BYMONTHDAY, whereas the app (charge-projection.js)
+// clamps to month end — "the last of 28..day" reproduces the clamp.
+const clampDays = (day) => Array.from({ length: day - 27 }, (_, k) => 28 + k);
+const monthDayRule = (day) =>
+    day > 28 ? `BYMONTHDAY=${clampDays(day).join(",")};BYSETPOS=-1` : `BYMONTHDAY=${day}`;
+
+/**
+ * RRULE for a Plaid frequency anchored on `anchor`, mirroring nthChargeDate;
+ * null for UNKNOWN (a single event — no cadence is guessed).
+ */
+export function recurrenceRule(frequency, anchor) {
+    const day = anchor.getDate();
+    switch (frequency) {
+        case "WEEKLY":
+            return "FREQ=WEEKLY";
+        case "BIWEEKLY":
+            return "FREQ=WEEKLY;INTERVAL=2";
+        case "SEMI_MONTHLY": {
+            // The early day is at most 16, so it is always the first of the
+            // set and BYSETPOS=1,-1 keeps it plus the clamped late day.
+            const [early, late] = semiMonthlyDays(day);
+            return late > 28
+                ? `FREQ=MONTHLY;BYMONTHDAY=${[early, ...clampDays(late)].join(",")};BYSETPOS=1,-1`
+                : `FREQ=MONTHLY;BYMONTHDAY=${early},${late}`;
+        }
+        case "MONTHLY":
+            return `FREQ=MONTHLY;${monthDayRule(day)}`;
+        case "ANNUALLY":
+            return `FREQ=YEARLY;BYMONTH=${anchor.getMonth() + 1};${monthDayRule(day)}`;
+        default:
+            return null;
+    }
+}
+
+const icsDate = (date) => toISODate(date).replace(/-/g, "");
+
+// UTC stamp, "20260715T093000Z".
+const icsStamp = (date) => date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+const icsText = (s) =>
+    String(s ?? "")
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+
+// RFC 5545 §3.1: lines longer than 75 octets are folded with CRLF + space,
+// never splitting a multi-byte character.
+const encoder = new TextEncoder();
+function foldLine(line) {
+    const parts = [];
+    let current = "";
+    let octets = 0;
+    for (const ch of line) {
+        const size = encoder.encode(ch).length;
+        // Continuation lines lose one octet to the leading space.
+        if (octets + size > (parts.length ? 74 : 75)) {
+            parts.push(current);
+            current = "";
+            octets = 0;
+        }
+        current += ch;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join("\r\n ");
+}
+
+/**
+ * A VCALENDAR with one all-day VEVENT per item, starting on its
+ * predicted_next_date and repeating by its frequency. Items without a
+ * predicted date are left out.
+ */
+export function toICS(items = [], now = new Date()) {
+    const stamp = icsStamp(now);
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//Finequity//Subscriptions//EN",
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        "X-WR-CALNAME:Subscriptions",
+    ];
+
+    items.forEach((item, idx) => {
+        const anchor = parseISODate(item?.predicted_next_date);
+        if (!anchor) return;
+        const end = new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate() + 1);
+        const rule = recurrenceRule(item.frequency, anchor);
+        const amount = `$${amountOf(item).toFixed(2)}`;
+        const details = [
+            `${amount} · ${item.frequency ?? "UNKNOWN"}`,
+            item.personal_finance_category?.primary,
+            riskKeyOf(item) !== "none" ? `Risk: ${item.risk}` : null,
+            item.risk_reason,
+        ].filter(Boolean);
+
+        lines.push(
+            "BEGIN:VEVENT",
+            // Stable per stream, so re-importing updates events instead of duplicating them.
+            `UID:${item.stream_id ?? `item-${idx}`}@finequity`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${icsDate(anchor)}`,
+            `DTEND;VALUE=DATE:${icsDate(end)}`,
+            ...(rule ? [`RRULE:${rule}`] : []),
+            `SUMMARY:${icsText(`${item.description || "Subscription"} — ${amount}`)}`,
+            `DESCRIPTION:${icsText(details.join("\n"))}`,
+            "TRANSP:TRANSPARENT",
+            "END:VEVENT"
+        );
+    });
+
+    lines.push("END:VCALENDAR");
+    return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/* --------------------------------------------------------------------------
+ * Download
+ * ------------------------------------------------------------------------*/
+
+/** Saves `content` as a file through a temporary object-URL link. */
+export function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    // Some mobile browsers start reading the URL only after click() returns.
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,91 @@
+/**
+ * @jest-environment node
+ */
+// Pure string builders; jsdom has no TextEncoder (used to fold ICS lines).
+import { recurrenceRule, toCSV, toICS } from "./subscription-export.js";
+import { parseISODate } from "./dates.js";
+
+const rule = (frequency, iso) => recurrenceRule(frequency, parseISODate(iso));
+
+describe("toCSV", () => {
+    test("writes a header and one CRLF-terminated row per item", () => {
+        const csv = toCSV([{ description: "Netflix", average_amount: { amount: -15.5 }, frequency: "MONTHLY" }]);
+        const [header, row, end] = csv.split("\r\n");
+        expect(header).toBe("Description,Amount,Frequency,Next date,Category,Risk,Explanation");
+        expect(row).toBe("Netflix,15.50,MONTHLY,,,,");
+        expect(end).toBe("");
+    });
+
+    test("guards formula-like text but not negative numbers", () => {
+        const row = (description) => toCSV([{ description }]).split("\r\n")[1].split(",")[0];
+        expect(row("=HYPERLINK(1)")).toBe("'=HYPERLINK(1)");
+        expect(row("+1 Gym")).toBe("'+1 Gym");
+        expect(row("@merchant")).toBe("'@merchant");
+        expect(row("-5")).toBe("-5");
+    });
+
+    test("quotes cells with commas, quotes or newlines", () => {
+        const csv = toCSV([{ description: 'Acme, "Pro"' }]);
+        expect(csv.split("\r\n")[1].startsWith('"Acme, ""Pro"""')).toBe(true);
+    });
+});
+
+describe("recurrenceRule", () => {
+    test("maps weekly cadences", () => {
+        expect(rule("WEEKLY", "2026-07-01")).toBe("FREQ=WEEKLY");
+        expect(rule("BIWEEKLY", "2026-07-01")).toBe("FREQ=WEEKLY;INTERVAL=2");
+    });
+
+    test("clamps late monthly and annual days to month end", () => {
+        expect(rule("MONTHLY", "2026-07-15")).toBe("FREQ=MONTHLY;BYMONTHDAY=15");
+        expect(rule("MONTHLY", "2026-07-31")).toBe("FREQ=MONTHLY;BYMONTHDAY=28,29,30,31;BYSETPOS=-1");
+        expect(rule("ANNUALLY", "2028-02-29")).toBe("FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=28,29;BYSETPOS=-1");
+    });
+
+    test("emits both semi-monthly days, clamping the late one", () => {
+        expect(rule("SEMI_MONTHLY", "2026-07-05")).toBe("FREQ=MONTHLY;BYMONTHDAY=5,20");
+        expect(rule("SEMI_MONTHLY", "2026-07-20")).toBe("FREQ=MONTHLY;BYMONTHDAY=5,20");
+        expect(rule("SEMI_MONTHLY", "2026-07-14")).toBe("FREQ=MONTHLY;BYMONTHDAY=14,28,29;BYSETPOS=1,-1");
+        expect(rule("SEMI_MONTHLY", "2026-07-31")).toBe("FREQ=MONTHLY;BYMONTHDAY=16,28,29,30,31;BYSETPOS=1,-1");
+    });
+
+    test("has no rule for UNKNOWN", () => {
+        expect(rule("UNKNOWN", "2026-07-01")).toBeNull();
+    });
+});
+
+describe("toICS", () => {
+    const now = new Date("2026-07-01T09:30:00Z");
+    const netflix = {
+        stream_id: "s1",
+        description: "Netflix",
+        average_amount: { amount: 15.5 },
+        frequency: "MONTHLY",
+        predicted_next_date: "2026-07-15",
+    };
+
+    test("writes one all-day repeating event per dated item", () => {
+        const ics = toICS([netflix, { description: "No date" }], now);
+        const lines = ics.split("\r\n");
+        expect(lines[0]).toBe("BEGIN:VCALENDAR");
+        expect(lines.filter((l) => l === "BEGIN:VEVENT")).toHaveLength(1);
+        expect(lines).toContain("UID:s1@finequity");
+        expect(lines).toContain("DTSTAMP:20260701T093000Z");
+        expect(lines).toContain("DTSTART;VALUE=DATE:20260715");
+        expect(lines).toContain("DTEND;VALUE=DATE:20260716");
+        expect(lines).toContain("RRULE:FREQ=MONTHLY;BYMONTHDAY=15");
+        expect(ics.endsWith("END:VCALENDAR\r\n")).toBe(true);
+    });
+
+    test("adds a risk line only for flagged items", () => {
+        const unfold = (ics) => ics.replace(/\r\n /g, "");
+        expect(unfold(toICS([{ ...netflix, risk: "likely_scam" }], now))).toContain("Risk: likely_scam");
+        expect(unfold(toICS([{ ...netflix, risk: "none" }], now))).not.toContain("Risk:");
+        expect(unfold(toICS([{ ...netflix, risk: "NONE" }], now))).not.toContain("Risk:");
+    });
+
+    test("folds lines longer than 75 octets", () => {
+        const ics = toICS([{ ...netflix, description: "x".repeat(200) }], now);
+        for (const line of ics.split("\r\n")) expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75);
+    });
+});
@@ -0,0 +1,136 @@
+/**
+ * Search / filter / sort helpers for the subscription list toolbar.
+ *
+ * All functions take normalized items (see toRecurringItems) and return new
+ * arrays — the caller's list is never mutated, so the "All" state is always
+ * one cleared filter away.
+ */
+import { MONTHLY_FACTOR, summarizeSpend } from "./recurring-data-formatter.js";
+import { UNMARKED } from "./dispositions.js";
+import { OTHER_CATEGORY } from "./categories.js";
+
+/** Severity rank used by the "Risk" sort: most severe first. */
+export const RISK_ORDER = ["likely_fraud", "likely_scam", "worth_watching", "none"];
+
+export const SORT_OPTIONS = [
+    { value: "next", label: "Next charge" },
+    { value: "amount", label: "Monthly cost" },
+    { value: "name", label: "Name" },
+    { value: "risk", label: "Risk severity" },
+];
+
+export const DEFAULT_SORT = "next";
+
+export const EMPTY_FILTERS = { query: "", risks: [], frequencies: [], categories: [], dispositions: [], accounts: [] };
+
+/** Lowercased risk key; anything we don't recognise counts as "none". */
+export const riskKeyOf = (item) => {
+    const key = item?.risk ? String(item.risk).toLowerCase() : "none";
+    return RISK_ORDER.includes(key) ? key : "none";
+};
+
+export const frequencyOf = (item) => item?.frequency || "UNKNOWN";
+
+export const categoryOf = (item) => item?.personal_finance_category?.primary || OTHER_CATEGORY;
+
+export const dispositionOf = (item) => item?.disposition || UNMARKED;
+
+export const accountOf = (item) => item?.account_id || "UNKNOWN";
+
+/**
+ * "Tartan Bank · Rewards Card ••3333" — the card/account to go cancel on.
+ * Without an `accounts` list upstream only the opaque account_id is known, so
+ * its tail tells accounts apart without pretending to be a card number.
+ */
+export function accountLabelOf(item) {
+    const account = [item?.account_name, item?.account_mask && `••${item.account_mask}`]
+        .filter(Boolean)
+        .join(" ");
+    const label = [item?.institution_name, account].filter(Boolean).join(" · ");
+    if (label) return label;
+    return item?.account_id ? `Account …${item.account_id.slice(-4)}` : "Unknown account";
+}
+
+export const hasActiveFilters = (filters) =>
+    Boolean(filters.query.trim()) ||
+    filters.risks.length > 0 ||
+    filters.frequencies.length > 0 ||
+    filters.categories.length > 0 ||
+    filters.dispositions.length > 0 ||
+    filters.accounts.length > 0;
+
+/**
+ * Items matching every active filter. Within one group (e.g. two risk chips)
+ * selections are OR'd; across groups they are AND'd.
+ */
+export function filterItems(items = [], filters = EMPTY_FILTERS) {
+    const query = filters.query.trim().toLowerCase();
+    return items.filter((item) => {
+        if (query && !String(item?.description || "").toLowerCase().includes(query)) return false;
+        if (filters.risks.length && !filters.risks.includes(riskKeyOf(item))) return false;
+        if (filters.frequencies.length && !filters.frequencies.includes(frequencyOf(item))) return false;
+        if (filters.categories.length && !filters.categories.includes(categoryOf(item))) return false;
+        if (filters.dispositions.length && !filters.dispositions.includes(dispositionOf(item))) return false;
+        if (filters.accounts.length && !filters.accounts.includes(accountOf(item))) return false;
+        return true;
+    });
+}
+
+// Monthly equivalent when the frequency is known, else the per-charge amount.
+const monthlyCost = (item) =>
+    item?.monthly_amount ?? Math.abs(Number(item?.average_amount?.amount ?? 0));
+
+const COMPARATORS = {
+    // ISO dates compare lexically; missing dates last (same as the formatter).
+    next: (a, b) => {
+        const ax = a.predicted_next_date || "";
+        const bx = b.predicted_next_date || "";
+        if (!ax || !bx) return ax ? -1 : bx ? 1 : 0;
+        return ax.localeCompare(bx);
+    },
+    amount: (a, b) => monthlyCost(b) - monthlyCost(a),
+    name: (a, b) => String(a.description || "").localeCompare(String(b.description || ""), "en-US", { sensitivity: "base" }),
+    risk: (a, b) => RISK_ORDER.indexOf(riskKeyOf(a)) - RISK_ORDER.indexOf(riskKeyOf(b)),
+};
+
+/** Sorted copy; ties fall back to next-charge order. */
+export function sortItems(items = [], sort = DEFAULT_SORT) {
+    const primary = COMPARATORS[sort] || COMPARATORS[DEFAULT_SORT];
+    return [...items].sort((a, b) => primary(a, b) || COMPARATORS.next(a, b));
+}
+
+/**
+ * Sections for the grouped list, one per account in order of first appearance
+ * (so the current sort carries over):
+ *   [{ account_id, label, items, count, monthly }]
+ * monthly is the account's frequency-normalized subtotal (see summarizeSpend).
+ */
+export function groupByAccount(items = []) {
+    const groups = new Map();
+    for (const item of items) {
+        const id = accountOf(item);
+        if (!groups.has(id)) groups.set(id, { account_id: id, label: accountLabelOf(item), items: [] });
+        groups.get(id).items.push(item);
+    }
+    return [...groups.values()].map((g) => ({
+        ...g,
+        count: g.items.length,
+        monthly: summarizeSpend(g.items).monthly,
+    }));
+}
+
+/**
+ * Distinct values present in `items` for the chip rows: frequency and
+ * category codes, plus accounts as { value, label }.
+ */
+export function filterOptions(items = []) {
+    // Shortest billing cycle first, UNKNOWN (and anything unexpected) last.
+    const order = [...Object.keys(MONTHLY_FACTOR), "UNKNOWN"];
+    const rank = (f) => (order.includes(f) ? order.indexOf(f) : order.length);
+    const frequencies = [...new Set(items.map(frequencyOf))].sort((a, b) => rank(a) - rank(b));
+    const categories = [...new Set(items.map(categoryOf))].sort();
+    const accounts = [...new Map(items.map((i) => [accountOf(i), accountLabelOf(i)]))]
+        .map(([value, label]) => ({ value, label }))
+        .sort((a, b) => a.label.localeCompare(b.label));
+    return { frequencies, categories, accounts };
+}
@@ -0,0 +1,83 @@
+import { EMPTY_FILTERS, filterItems, riskKeyOf, sortItems } from "./subscription-filters.js";
+
+const item = (overrides) => ({
+    description: "Netflix",
+    frequency: "MONTHLY",
+    risk: "none",
+    predicted_next_date: "2026-07-15",
+    average_amount: { amount: 10 },
+    ...overrides,
+});
+
+const names = (items) => items.map((i) => i.description);
+
+describe("riskKeyOf", () => {
+    test("lower-cases known risks and treats anything else as none", () => {
+        expect(riskKeyOf({ risk: "LIKELY_FRAUD" })).toBe("likely_fraud");
+        expect(riskKeyOf({ risk: "made_up" })).toBe("none");
+        expect(riskKeyOf({})).toBe("none");
+    });
+});
+
+describe("filterItems", () => {
+    const items = [
+        item({ description: "Netflix", risk: "none", frequency: "MONTHLY" }),
+        item({ description: "Crypto Recovery", risk: "LIKELY_SCAM", frequency: "MONTHLY" }),
+        item({ description: "Gym", risk: "worth_watching", frequency: "ANNUALLY" }),
+    ];
+
+    test("returns everything for the empty filters", () => {
+        expect(filterItems(items, EMPTY_FILTERS)).toHaveLength(3);
+    });
+
+    test("matches the search query case-insensitively", () => {
+        expect(names(filterItems(items, { ...EMPTY_FILTERS, query: "  netf " }))).toEqual(["Netflix"]);
+    });
+
+    test("ORs chips within a group and ANDs across groups", () => {
+        const risks = { ...EMPTY_FILTERS, risks: ["likely_scam", "worth_watching"] };
+        expect(names(filterItems(items, risks))).toEqual(["Crypto Recovery", "Gym"]);
+        expect(names(filterItems(items, { ...risks, frequencies: ["ANNUALLY"] }))).toEqual(["Gym"]);
+    });
+
+    test("doesn't mutate the input", () => {
+        const copy = [...items];
+        filterItems(items, { ...EMPTY_FILTERS, query: "gym" });
+        expect(items).toEqual(copy);
+    });
+});
+
+describe("sortItems", () => {
+    test("sorts by next charge with missing dates last", () => {
+        const items = [
+            item({ description: "B", predicted_next_date: "2026-08-01" }),
+            item({ description: "None", predicted_next_date: null }),
+            item({ description: "A", predicted_next_date: "2026-07-01" }),
+        ];
+        expect(names(sortItems(items, "next"))).toEqual(["A", "B", "None"]);
+    });
+
+    test("sorts by monthly cost, most expensive first", () => {
+        const items = [
+            item({ description: "Cheap", monthly_amount: 5 }),
+            item({ description: "Dear", monthly_amount: 50 }),
+            item({ description: "Unknown", monthly_amount: null, average_amount: { amount: -20 } }),
+        ];
+        expect(names(sortItems(items, "amount"))).toEqual(["Dear", "Unknown", "Cheap"]);
+    });
+
+    test("sorts by risk severity, ties by next charge", () => {
+        const items = [
+            item({ description: "Fine", risk: "none" }),
+            item({ description: "Later scam", risk: "likely_scam", predicted_next_date: "2026-09-01" }),
+            item({ description: "Fraud", risk: "likely_fraud" }),
+            item({ description: "Sooner scam", risk: "likely_scam", predicted_next_date: "2026-07-01" }),
+        ];
+        expect(names(sortItems(items, "risk"))).toEqual(["Fraud", "Sooner scam", "Later scam", "Fine"]);
+    });
+
+    test("falls back to next-charge order for an unknown sort", () => {
+        const items = [item({ description: "B", predicted_next_date: "2026-08-01" }), item({ description: "A" })];
+        expect(names(sortItems(items, "bogus"))).toEqual(["A", "B"]);
+    });
+});
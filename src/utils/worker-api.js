@@ -0,0 +1,160 @@
+/**
+ * Calls to the Cloudflare Worker gateway (see ../../worker/).
+ *
+ * The Worker holds the Pipedream secrets and caches recurring data server-side
+ * in KV, so nothing sensitive is stored in the browser or shipped in this
+ * bundle. Callers pass the per-user proof minted by Glide ({ uid, ts, proof, v });
+ * the first call trades it for a session token (POST /session) that every
+ * later call sends instead, since the Worker may accept each proof only once.
+ * The raw Response is returned so callers can react to 401 (stale proof or
+ * session) and 429 (refresh cooldown or rate limit) themselves.
+ */
+export const WORKER_URL = process.env.REACT_APP_WORKER_URL;
+
+// ─── Session token ─────────────────────────────────────────────────────────────
+
+// { uid, token, expiresAt } from POST /session, shared by every call below.
+let session = null;
+let pendingSession = null;
+
+// Renewed this long before it runs out, so a call never races the expiry.
+const SESSION_MARGIN_MS = 60 * 1000;
+
+const sessionValid = (s, uid) => s?.uid === uid && Date.parse(s.expiresAt) - Date.now() > SESSION_MARGIN_MS;
+
+/** The current session (for stashing across an OAuth redirect), or null. */
+export const currentSession = () => session;
+
+/** Reinstates a session saved by currentSession(), if it hasn't expired. */
+export function resumeSession(saved) {
+    if (saved?.uid && sessionValid(saved, saved.uid)) session = saved;
+}
+
+// The proof as request fields; v (scheme version) only when the link had one.
+const proofFields = ({ uid, ts, proof, v }) => (v ? { uid, ts, proof, v } : { uid, ts, proof });
+
+// One POST /session at a time; concurrent callers share it. null when the
+// proof is refused — callers then send the proof itself and get the 401.
+function sessionFor(auth) {
+    const { uid } = auth;
+    if (sessionValid(session, uid)) return Promise.resolve(session);
+    pendingSession ??= fetch(`${WORKER_URL}/session`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(proofFields(auth)),
+    })
+        .then(async (res) => {
+            if (!res.ok) return null;
+            const { token, expiresAt } = await res.json();
+            session = { uid, token, expiresAt };
+            return session;
+        })
+        .catch(() => null)
+        .finally(() => {
+            pendingSession = null;
+        });
+    return pendingSession;
+}
+
+// Bearer header + uid with a session; the proof fields without one.
+async function credentials(auth) {
+    const s = await sessionFor(auth);
+    return s
+        ? { headers: { Authorization: `Bearer ${s.token}` }, fields: { uid: auth.uid } }
+        : { headers: {}, fields: proofFields(auth) };
+}
+
+// ─── Requests ──────────────────────────────────────────────────────────────────
+
+const getAuthed = async (path, auth, params = {}) => {
+    const { headers, fields } = await credentials(auth);
+    return fetch(`${WORKER_URL}${path}?${new URLSearchParams({ ...fields, ...params })}`, { headers });
+};
+
+const sendAuthed = async (path, auth, body = {}, { method = "POST", ...init } = {}) => {
+    const { headers, fields } = await credentials(auth);
+    return fetch(`${WORKER_URL}${path}`, {
+        method,
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify({ ...fields, ...body }),
+        ...init,
+    });
+};
+
+/** Recurring data for the user — served from the Worker's KV cache when warm. */
+export const getTransactions = (auth) => getAuthed("/transactions", auth);
+
+/**
+ * Dated snapshots of the user's recurring data, newest first
+ * ({ snapshots: [{ date, fetchedAt, data }] }); `limit` caps how many.
+ */
+export const getHistory = (auth, limit) =>
+    getAuthed("/transactions/history", auth, limit ? { limit } : {});
+
+/** Bypasses the KV cache and re-fetches from Plaid (rate-limited per user). */
+export const refreshTransactions = (auth) => sendAuthed("/transactions/refresh", auth);
+
+/**
+ * Exchanges a Plaid Link public_token; resolves with fresh recurring data for
+ * all of the user's linked banks. `metadata` is Link's onSuccess metadata —
+ * only the institution and account names/masks are forwarded, to label the
+ * new bank in the list.
+ */
+export const exchangePublicToken = (auth, publicToken, metadata) =>
+    sendAuthed("/api/exchange", auth, {
+        publicToken,
+        institution: metadata?.institution
+            ? { institution_id: metadata.institution.institution_id, name: metadata.institution.name }
+            : null,
+        accounts: (metadata?.accounts ?? []).map(({ id, name, mask, subtype }) => ({ id, name, mask, subtype })),
+    });
+
+/** A fresh Link token for connecting another bank alongside the existing ones. */
+export const createLinkToken = (auth) => sendAuthed("/api/link-token", auth);
+
+/**
+ * Plaid Link onEvent funnel events for one session. Sent in the same tick —
+ * with the current session, or the proof when there is none yet, never
+ * waiting on POST /session — so keepalive can carry the request past the
+ * webview closing right after Link exits.
+ */
+export function sendLinkEvents(auth, events) {
+    const headers = sessionValid(session, auth.uid) ? { Authorization: `Bearer ${session.token}` } : {};
+    const fields = headers.Authorization ? { uid: auth.uid } : proofFields(auth);
+    return fetch(`${WORKER_URL}/api/link-events`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify({ ...fields, events }),
+        keepalive: true,
+    });
+}
+
+/** The user's keep / cancel / not-mine marks, keyed by stream_id. */
+export const getDispositions = (auth) => getAuthed("/dispositions", auth);
+
+/** Sets (or, with null, clears) the user's mark on one stream. */
+export const setDisposition = (auth, streamId, disposition) =>
+    sendAuthed("/dispositions", auth, { streamId, disposition });
+
+/**
+ * Disconnects every linked bank (Plaid /item/remove) and deletes all data the
+ * Worker holds for the user. The proof and session stop working once this succeeds.
+ */
+export const deleteAccount = (auth) => sendAuthed("/account", auth, {}, { method: "DELETE" });
+
+/**
+ * Seconds to wait after a 429, from the Retry-After header or the JSON body's
+ * retryAfter; null when neither is usable.
+ */
+export async function readRetryAfter(res) {
+    const header = Number(res.headers.get("Retry-After"));
+    if (header > 0) return header;
+    const body = await res.json().catch(() => null);
+    return Number(body?.retryAfter) > 0 ? Number(body.retryAfter) : null;
+}
+
+/** readRetryAfter's seconds as "1 minute" / "12 minutes" (rounded up; a minute when unknown). */
+export function formatWait(seconds) {
+    const mins = Math.max(1, Math.ceil((seconds ?? 60) / 60));
+    return `${mins} minute${mins === 1 ? "" : "s"}`;
+}
@@ -2,21 +2,26 @@
  * Mint a proof URL for local testing — mirrors the Glide JavaScript column.
  *
  * Usage:
- *   node dev-url.mjs <userSecret> <uid> [appOrigin]
+ *   node dev-url.mjs [--v1] <userSecret> <uid> [appOrigin]
  *
  * <userSecret> must match what was provisioned for <uid> (see README:
- * "Local testing"). Prints a URL with the #uid=..&ts=..&proof=.. fragment.
+ * "Local testing"). Prints a URL with the #uid=..&ts=..&proof=..&v=2
+ * fragment (HMAC-SHA256); --v1 mints the legacy SHA-256 proof, without v=.
  */
 import crypto from "node:crypto";
 
-const [userSecret, uid, origin = "http://localhost:3000"] = process.argv.slice(2);
+const args = process.argv.slice(2);
+const legacy = args[0] === "--v1";
+const [userSecret, uid, origin = "http://localhost:3000"] = legacy ? args.slice(1) : args;
 
 if (!userSecret || !uid) {
-    console.error("Usage: node dev-url.mjs <userSecret> <uid> [appOrigin]");
+    console.error("Usage: node dev-url.mjs [--v1] <userSecret> <uid> [appOrigin]");
     process.exit(1);
 }
 
 const ts = Date.now();
-const proof = crypto.createHash("sha256").update(`${userSecret}:${uid}:${ts}`).digest("hex");
+const proof = legacy
+    ? crypto.createHash("sha256").update(`${userSecret}:${uid}:${ts}`).digest("hex")
+    : crypto.createHmac("sha256", userSecret).update(`${uid}:${ts}`).digest("hex");
 
-console.log(`${origin}/#uid=${encodeURIComponent(uid)}&ts=${ts}&proof=${proof}`);
+console.log(`${origin}/#uid=${encodeURIComponent(uid)}&ts=${ts}&proof=${proof}${legacy ? "" : "&v=2"}`);
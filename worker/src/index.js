@@ -5,21 +5,49 @@
  * Auth model (per-user proof, no shared link secret):
  *   - Glide provisions each user once: POST /provision/<PROVISION_PATH_KEY>
  *     with { userId, userSecret } → stored in USERS KV as user:<uid>.
- *   - Glide computes proof = SHA-256(`${userSecret}:${uid}:${ts}`) and embeds
- *     #uid=..&ts=..&proof=.. in the webview URL (URL fragment — never sent to
- *     any server or logged).
+ *   - Glide computes proof = HMAC-SHA256(userSecret, `${uid}:${ts}`) and embeds
+ *     #uid=..&ts=..&proof=..&v=2 in the webview URL (URL fragment — never
+ *     sent to any server or logged). Without v= the legacy scheme,
+ *     SHA-256(`${userSecret}:${uid}:${ts}`), is assumed (see PROOF_SCHEMES).
+ *   - Re-provisioning a user with a new secret rotates it: the old one keeps
+ *     verifying for SECRET_ROTATION_GRACE_SECONDS.
  *   - This Worker recomputes the proof from the stored secret and rejects
  *     anything stale (> PROOF_WINDOW_MS old) or mismatched.
+ *   - POST /session trades a proof for a short-lived session token, sent as
+ *     `Authorization: Bearer` (with uid) on later calls. With
+ *     SINGLE_USE_PROOFS on, each proof is accepted only once, so a leaked
+ *     embed URL can't be replayed.
  *
  * Routes:
  *   POST /provision/<key>   { userId, userSecret }   (Glide webhook)
+ *   POST /session           { uid, ts, proof }       (session token for later calls)
  *   GET  /transactions?uid=&ts=&proof=               (recurring data, KV-cached)
- *   POST /api/exchange      { uid, ts, proof, publicToken }  (Plaid exchange)
+ *   POST /transactions/refresh { uid, ts, proof }    (bypass + rewrite the cache)
+ *   GET  /transactions/history?uid=&ts=&proof=&limit= (dated snapshots, newest first)
+ *   GET  /v2/subscriptions?uid=&ts=&proof=           (normalized, versioned — see subscriptions-v2.js)
+ *   POST /api/exchange      { uid, ts, proof, publicToken, institution, accounts }
+ *                                                    (Plaid exchange; adds a linked Item)
+ *   POST /api/link-token    { uid, ts, proof }       (Link token for adding another bank)
+ *   POST /api/link-events   { uid, ts, proof, events }  (Plaid Link onEvent funnel)
+ *   GET  /dispositions?uid=&ts=&proof=               (user's keep/cancel/not-mine marks)
+ *   POST /dispositions      { uid, ts, proof, streamId, disposition }
+ *   DELETE /account         { uid, ts, proof }       (remove Plaid Items + purge all user data)
  *
- * Data responses mirror Pipedream's shape ({ response_object: { tag, data } })
- * so the frontend handles cache hits and live fetches identically.
+ * Data responses mirror Pipedream's shape ({ response_object: { tag, data } },
+ * tag ∈ recurring_data | link_token | relink_required)
+ * so the frontend handles cache hits and live fetches identically. Recurring
+ * data additionally carries fetchedAt (ISO time Pipedream was last called) and
+ * source ("live" | "cache"). /v2/subscriptions is the exception: it returns
+ * the same data already normalized, for clients other than the React app.
+ *
+ * A user may link several institutions (Plaid Items). Each is tracked in
+ * USERS as items:<uid>; the cached recurring data is the merge of every
+ * Item's streams, each stamped with item_id / institution_name, plus an
+ * `accounts` list built from the Link metadata.
  */
 
+import { toSubscriptionsV2 } from "./subscriptions-v2.js";
+
 const enc = new TextEncoder();
 
 // Glide's Current Date/Time column doesn't tick every second, so the ts in a
@@ -31,15 +59,16 @@ const PROOF_WINDOW_MS = 15 * 60 * 1000;
 
 const corsHeaders = (env) => ({
     "Access-Control-Allow-Origin": env.ALLOWED_ORIGIN,
-    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type",
+    "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Expose-Headers": "Retry-After",
     "Access-Control-Max-Age": "86400",
 });
 
-const json = (obj, status, env) =>
+const json = (obj, status, env, headers = {}) =>
     new Response(JSON.stringify(obj), {
         status,
-        headers: { "Content-Type": "application/json", ...corsHeaders(env) },
+        headers: { "Content-Type": "application/json", ...corsHeaders(env), ...headers },
     });
 
 // ── Proof verification ──────────────────────────────────────────────────────
@@ -49,6 +78,20 @@ async function sha256Hex(s) {
     return [...new Uint8Array(buf)].map((b) => b.toString(16).padStart(2, "0")).join("");
 }
 
+async function hmacSha256Hex(key, s) {
+    const cryptoKey = await crypto.subtle.importKey("raw", enc.encode(key), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+    const buf = await crypto.subtle.sign("HMAC", cryptoKey, enc.encode(s));
+    return [...new Uint8Array(buf)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Proof constructions by the fragment's v= (absent → 1). v1 is the original
+// plain hash of secret:uid:ts; v2 is a real MAC. Set MIN_PROOF_VERSION = "2"
+// once every Glide column sends v=2 to stop accepting v1.
+const PROOF_SCHEMES = {
+    1: (secret, uid, ts) => sha256Hex(`${secret}:${uid}:${ts}`),
+    2: (secret, uid, ts) => hmacSha256Hex(secret, `${uid}:${ts}`),
+};
+
 // Constant-time string comparison (proof is attacker-supplied).
 function timingSafeEqual(a, b) {
     if (typeof a !== "string" || typeof b !== "string" || a.length !== b.length) return false;
@@ -58,7 +101,9 @@ function timingSafeEqual(a, b) {
 }
 
 /**
- * USERS KV record for a provisioned user: { secret, phoneNumber }.
+ * USERS KV record for a provisioned user:
+ *   { secret, phoneNumber, previousSecret?, rotatedAt? }
+ * previousSecret / rotatedAt are set when a re-provision rotated the secret.
  * Tolerates legacy plain-string records (secret only, no phone).
  */
 async function getUser(env, uid) {
@@ -71,20 +116,182 @@ async function getUser(env, uid) {
     return { secret: raw, phoneNumber: null };
 }
 
+const rotationGraceMs = (env) => (Number(env.SECRET_ROTATION_GRACE_SECONDS) || 86400) * 1000;
+
+// A rotated-out secret still counts while its grace period runs.
+const inGracePeriod = (env, user) =>
+    Boolean(user?.previousSecret) && Date.now() - Date.parse(user.rotatedAt ?? "") < rotationGraceMs(env);
+
+// Secrets a proof may be made with: the current one, then the previous one.
+const activeSecrets = (env, user) =>
+    inGracePeriod(env, user) ? [user.secret, user.previousSecret] : [user.secret];
+
 /**
- * Returns the user record when the proof checks out, null otherwise —
- * handlers need the record anyway (phoneNumber) so verification hands it over.
+ * Returns the user record when the proof fields ({ uid, ts, proof, v }, from
+ * the query or body) check out, null otherwise — handlers need the record
+ * anyway (phoneNumber) so verification hands it over.
  */
-async function verifyProof(env, uid, ts, proof) {
+async function verifyProof(env, { uid, ts, proof, v } = {}) {
     if (!uid || !ts || !proof) return null;
     if (!/^\d+$/.test(String(ts))) return null;
     if (Math.abs(Date.now() - Number(ts)) > PROOF_WINDOW_MS) return null;
 
+    const version = v == null || v === "" ? 1 : Number(v);
+    const scheme = PROOF_SCHEMES[version];
+    if (!scheme || version < (Number(env.MIN_PROOF_VERSION) || 1)) return null;
+
     const user = await getUser(env, uid);
     if (!user) return null; // unknown / unprovisioned user
 
-    const expected = await sha256Hex(`${user.secret}:${uid}:${ts}`);
-    return timingSafeEqual(String(proof).toLowerCase(), expected) ? user : null;
+    const given = String(proof).toLowerCase();
+    for (const secret of activeSecrets(env, user)) {
+        const expected = await scheme(secret, uid, ts);
+        if (!timingSafeEqual(given, expected)) continue;
+        if (singleUseProofs(env) && !(await claimProof(env, uid, ts, expected))) return null;
+        return user;
+    }
+    return null;
+}
+
+// ── Single-use proofs + session tokens ──────────────────────────────────────
+// Optional replay protection (SINGLE_USE_PROOFS = "true"): every accepted
+// proof is recorded as used:<uid>:<proof> in CACHE until it would have
+// expired anyway, and a second use is rejected. The app therefore trades its
+// proof for a session token first (POST /session) and sends that instead:
+// sess:<uid>:<SHA-256 of token> in CACHE, SESSION_TTL_SECONDS (default 30
+// min). Glide's side is unchanged. KV is eventually consistent, so two uses
+// at nearly the same moment from different locations can both get through —
+// this shuts out replaying a leaked URL later, not a simultaneous race.
+
+const singleUseProofs = (env) => env.SINGLE_USE_PROOFS === "true";
+
+const usedPrefix = (uid) => `used:${uid}:`;
+const sessPrefix = (uid) => `sess:${uid}:`;
+
+// False when the proof was already used; otherwise marks it used.
+async function claimProof(env, uid, ts, proof) {
+    const key = `${usedPrefix(uid)}${proof}`;
+    if (await env.CACHE.get(key)) {
+        console.log("proof replay rejected for", uid);
+        return false;
+    }
+    // Kept for as long as the proof itself would verify (KV's minimum TTL is 60 s).
+    const ttl = Math.ceil((Number(ts) + PROOF_WINDOW_MS - Date.now()) / 1000);
+    await env.CACHE.put(key, "1", { expirationTtl: Math.max(60, ttl) });
+    return true;
+}
+
+const sessionTtl = (env) => Number(env.SESSION_TTL_SECONDS) || 1800;
+
+/** POST /session — a fresh token for the user whose proof was just verified. */
+async function handleSession(uid, env) {
+    const token = [...crypto.getRandomValues(new Uint8Array(32))]
+        .map((b) => b.toString(16).padStart(2, "0"))
+        .join("");
+    const ttl = sessionTtl(env);
+    // Only a hash is stored, so reading KV doesn't hand out live tokens.
+    await env.CACHE.put(`${sessPrefix(uid)}${await sha256Hex(token)}`, "1", { expirationTtl: Math.max(60, ttl) });
+    return json({ token, expiresAt: new Date(Date.now() + ttl * 1000).toISOString() }, 200, env);
+}
+
+async function verifySession(env, uid, token) {
+    if (!uid || !/^[0-9a-f]{64}$/.test(token)) return null;
+    if (!(await env.CACHE.get(`${sessPrefix(uid)}${await sha256Hex(token)}`))) return null;
+    return getUser(env, uid);
+}
+
+/**
+ * The user record for a request: from its Bearer session token when it has
+ * one, otherwise from the proof fields. uid is always sent alongside.
+ */
+async function authenticate(request, env, fields) {
+    const bearer = request.headers.get("Authorization")?.match(/^Bearer\s+(\S+)$/i);
+    if (bearer) return verifySession(env, fields?.uid, bearer[1].toLowerCase());
+    return verifyProof(env, fields);
+}
+
+// ── Rate limiting ───────────────────────────────────────────────────────────
+// Fixed-window counters in CACHE: rl:<bucket>:<id>:<window start> → count,
+// expiring with the window. Two buckets:
+//   ip  — failed attempts per client IP (a fresh proof that doesn't verify,
+//         a wrong provision key). Once over the limit the IP gets 429 on the
+//         provision path and on proof-authenticated requests, which stops
+//         brute-forcing either. An expired proof is routine (a stale webview)
+//         and isn't counted; session-token requests are neither counted nor
+//         blocked — tokens can't be guessed, so a shared (CGNAT, office) IP
+//         can't lock its signed-in users out.
+//   uid — Pipedream calls per user (cache misses, refresh, exchange, link
+//         token), so one valid proof can't run up upstream invocations for
+//         the whole PROOF_WINDOW_MS.
+// KV has no atomic increment and is eventually consistent, so a burst can
+// overshoot a limit slightly — acceptable for abuse protection, and it needs
+// no extra binding. Only failures and upstream calls are counted, which keeps
+// writes well under KV's one-write-per-second-per-key limit.
+
+const RATE_LIMITS = {
+    ip: (env) => ({
+        limit: Number(env.RATE_LIMIT_IP_FAILURES) || 20,
+        windowSeconds: Number(env.RATE_LIMIT_IP_WINDOW_SECONDS) || 600,
+    }),
+    uid: (env) => ({
+        limit: Number(env.RATE_LIMIT_UPSTREAM_CALLS) || 20,
+        windowSeconds: Number(env.RATE_LIMIT_UPSTREAM_WINDOW_SECONDS) || 3600,
+    }),
+};
+
+const rlPrefix = (bucket, id) => `rl:${bucket}:${id}:`;
+
+const clientIp = (request) => request.headers.get("CF-Connecting-IP") || "unknown";
+
+function rateWindow(env, bucket, id) {
+    const { limit, windowSeconds } = RATE_LIMITS[bucket](env);
+    const nowSec = Math.floor(Date.now() / 1000);
+    const start = nowSec - (nowSec % windowSeconds);
+    return { key: `${rlPrefix(bucket, id)}${start}`, limit, windowSeconds, retryAfter: start + windowSeconds - nowSec };
+}
+
+/** Seconds until `id` is below its limit again; 0 when it is now. */
+async function rateLimitWait(env, bucket, id) {
+    const { key, limit, retryAfter } = rateWindow(env, bucket, id);
+    const count = Number(await env.CACHE.get(key)) || 0;
+    return count >= limit ? retryAfter : 0;
+}
+
+/**
+ * Counts one hit for `id`. With `enforce`, a hit over the limit isn't
+ * counted and the wait is returned instead (0 = go ahead).
+ */
+async function countHit(env, bucket, id, { enforce = false } = {}) {
+    const { key, limit, windowSeconds, retryAfter } = rateWindow(env, bucket, id);
+    const count = Number(await env.CACHE.get(key)) || 0;
+    if (enforce && count >= limit) return retryAfter;
+    // KV's minimum TTL is 60 s. A failed write only loses one count.
+    await env.CACHE.put(key, String(count + 1), { expirationTtl: Math.max(60, windowSeconds) })
+        .catch((err) => console.error("rate limit write failed:", err));
+    return 0;
+}
+
+const tooManyRequests = (env, error, retryAfter) =>
+    json({ error, retryAfter }, 429, env, { "Retry-After": String(retryAfter) });
+
+// Spends one of the user's Pipedream calls; a 429 response when none are left.
+async function takeUpstreamCall(env, uid) {
+    const wait = await countHit(env, "uid", uid, { enforce: true });
+    return wait ? tooManyRequests(env, "Too many requests — please wait", wait) : null;
+}
+
+const hasBearer = (request) => /^Bearer\s/i.test(request.headers.get("Authorization") ?? "");
+
+// Well-formed but outside PROOF_WINDOW_MS: a page left open, not a guess.
+const isExpiredProof = ({ uid, ts, proof } = {}) =>
+    Boolean(uid && proof) && /^\d+$/.test(String(ts ?? "")) && Math.abs(Date.now() - Number(ts)) > PROOF_WINDOW_MS;
+
+// A rejected proof or session token. At most one failure per request is
+// counted against the caller's IP, and only for a proof that could have been
+// a guess (see the rate-limiting notes above).
+async function proofRejected(request, env, fields) {
+    if (!hasBearer(request) && !isExpiredProof(fields)) await countHit(env, "ip", clientIp(request));
+    return json({ error: "Invalid or expired proof" }, 401, env);
 }
 
 // ── US phone normalization ──────────────────────────────────────────────────
@@ -103,6 +310,7 @@ function toE164US(raw) {
 async function handleProvision(request, env, pathKey) {
     // The path segment is the shared secret; wrong key looks like a 404.
     if (!env.PROVISION_PATH_KEY || pathKey !== env.PROVISION_PATH_KEY) {
+        await countHit(env, "ip", clientIp(request));
         return json({ error: "Not found" }, 404, env);
     }
 
@@ -127,21 +335,137 @@ async function handleProvision(request, env, pathKey) {
         return json({ error: "Missing or invalid phoneNumber" }, 400, env);
     }
 
-    await env.USERS.put(`user:${userId}`, JSON.stringify({ secret: String(userSecret), phoneNumber }));
-    return json({ ok: true }, 200, env);
+    // A different secret for a known user is a rotation: the old one keeps
+    // verifying through the grace period, so open webviews don't break.
+    const existing = await getUser(env, userId);
+    const record = { secret: String(userSecret), phoneNumber };
+    const rotated = Boolean(existing) && existing.secret !== record.secret;
+    if (rotated) {
+        record.previousSecret = existing.secret;
+        record.rotatedAt = new Date().toISOString();
+    } else if (inGracePeriod(env, existing)) {
+        record.previousSecret = existing.previousSecret;
+        record.rotatedAt = existing.rotatedAt;
+    }
+
+    await env.USERS.put(`user:${userId}`, JSON.stringify(record));
+    return json({ ok: true, rotated }, 200, env);
 }
 
 // ── Cache + Pipedream ───────────────────────────────────────────────────────
 
 const txKey = (uid) => `tx:${uid}`;
+// Last manual refresh per user (epoch ms); expires with the cooldown itself.
+const refreshKey = (uid) => `refresh:${uid}`;
+
+/**
+ * Cached entry for the user as { data, fetchedAt }, or null on a miss.
+ * Entries written before fetchedAt existed hold the bare Plaid blob; they are
+ * served with fetchedAt: null until the next refresh rewrites them.
+ */
+async function readCachedRecurringData(env, uid) {
+    const cached = await env.CACHE.get(txKey(uid), "json");
+    if (!cached) return null;
+    if (cached.fetchedAt && cached.data) return cached;
+    return { data: cached, fetchedAt: null };
+}
 
+/**
+ * Caches a live Pipedream response and returns it stamped with
+ * { fetchedAt, source: "live" } so the client can tell how fresh it is.
+ * Every cached blob is also kept as that day's history snapshot.
+ */
 async function cacheRecurringData(env, uid, upstream) {
     // Only cache real recurring data — never link_tokens or errors.
-    if (upstream?.response_object?.tag === "recurring_data" && upstream.response_object.data) {
-        await env.CACHE.put(txKey(uid), JSON.stringify(upstream.response_object.data), {
+    const ro = upstream?.response_object;
+    if (ro?.tag !== "recurring_data" || !ro.data) return upstream;
+
+    const fetchedAt = new Date().toISOString();
+    await Promise.all([
+        env.CACHE.put(txKey(uid), JSON.stringify({ data: ro.data, fetchedAt }), {
             expirationTtl: Number(env.CACHE_TTL_SECONDS) || 604800,
-        });
-    }
+        }),
+        saveSnapshot(env, uid, ro.data, fetchedAt),
+    ]);
+    return { ...upstream, response_object: { ...ro, fetchedAt, source: "live" } };
+}
+
+/**
+ * Caches a merge missing the Items that await reconnection, with their relink
+ * entries, for PARTIAL_CACHE_TTL_SECONDS (default 15 min — inside an
+ * update-mode link_token's lifetime). No snapshot: the missing streams would
+ * read as ended. Page loads while a bank is broken are then served from here
+ * instead of re-calling Pipedream for every Item; the refresh after the
+ * reconnect replaces it.
+ */
+async function cachePartialRecurringData(env, uid, data, relinkRequired) {
+    const fetchedAt = new Date().toISOString();
+    await env.CACHE.put(txKey(uid), JSON.stringify({ data, fetchedAt, relinkRequired }), {
+        expirationTtl: Math.max(60, Number(env.PARTIAL_CACHE_TTL_SECONDS) || 900),
+    });
+    return { response_object: { tag: "recurring_data", userId: uid, data, fetchedAt, source: "live", relinkRequired } };
+}
+
+// ── History snapshots ───────────────────────────────────────────────────────
+// hist:<uid>:<YYYY-MM-DD> in CACHE → { data, fetchedAt }: the last recurring
+// data cached on that (UTC) day, so the app can show what changed since an
+// earlier fetch. Bounded two ways: HISTORY_MAX_SNAPSHOTS newest days per user
+// (older ones are deleted on write) and HISTORY_TTL_SECONDS per snapshot.
+// Partial merges (some banks needing relink) are only cached briefly and
+// never snapshotted — their missing streams would read as "ended".
+
+const histPrefix = (uid) => `hist:${uid}:`;
+
+const historyLimit = (env) => Number(env.HISTORY_MAX_SNAPSHOTS) || 10;
+
+// transaction_ids are the bulk of a blob and nothing diffs on them.
+const withoutTransactionIds = (streams) =>
+    (streams ?? []).map(({ transaction_ids, ...rest }) => rest);
+
+async function listSnapshotKeys(env, uid) {
+    const names = [];
+    let cursor;
+    do {
+        const page = await env.CACHE.list({ prefix: histPrefix(uid), cursor });
+        names.push(...page.keys.map((k) => k.name));
+        cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+    return names.sort().reverse(); // ISO dates: newest first
+}
+
+async function saveSnapshot(env, uid, data, fetchedAt) {
+    const snapshot = {
+        fetchedAt,
+        data: {
+            ...data,
+            inflow_streams: withoutTransactionIds(data.inflow_streams),
+            outflow_streams: withoutTransactionIds(data.outflow_streams),
+        },
+    };
+    await env.CACHE.put(`${histPrefix(uid)}${fetchedAt.slice(0, 10)}`, JSON.stringify(snapshot), {
+        expirationTtl: Number(env.HISTORY_TTL_SECONDS) || 7776000,
+    });
+    const stale = (await listSnapshotKeys(env, uid)).slice(historyLimit(env));
+    await Promise.all(stale.map((name) => env.CACHE.delete(name)));
+}
+
+/**
+ * GET /transactions/history — the user's snapshots, newest first:
+ *   { snapshots: [{ date, fetchedAt, data }] }
+ * `limit` (default: all retained) caps how many are returned; the app asks
+ * for 2, enough to diff the current data against the one before.
+ */
+async function handleHistory(uid, limit, env) {
+    const max = historyLimit(env);
+    const n = Math.min(max, Math.max(1, Number(limit) || max));
+    const keys = (await listSnapshotKeys(env, uid)).slice(0, n);
+    const snapshots = await Promise.all(
+        keys.map(async (name) => {
+            const snap = await env.CACHE.get(name, "json");
+            return snap && { date: name.slice(histPrefix(uid).length), fetchedAt: snap.fetchedAt, data: snap.data };
+        })
+    );
+    return json({ snapshots: snapshots.filter(Boolean) }, 200, env);
 }
 
 async function callPipedream(env, url, token, payload) {
@@ -157,27 +481,282 @@ async function callPipedream(env, url, token, payload) {
     return res.json();
 }
 
-async function handleTransactions(uid, user, env) {
-    const cached = await env.CACHE.get(txKey(uid), "json");
-    if (cached) {
-        return json({ response_object: { tag: "recurring_data", data: cached } }, 200, env);
+// ── Linked institutions (Plaid Items) ───────────────────────────────────────
+// items:<uid> in USERS (no TTL) → [{ itemId, institutionId, institutionName,
+// accounts: [{ id, name, mask, subtype }], linkedAt }]. itemId null is the
+// "legacy" Item linked before this registry existed: Pipedream resolves it
+// from the userId alone, exactly as it did when one Item was all there was.
+
+const itemsKey = (uid) => `items:${uid}`;
+// legacy:<uid> in USERS (no TTL): set once the pre-registry retrieve has found
+// an Item, so the first exchange knows to keep it registered whatever the cache
+// holds by then.
+const legacyKey = (uid) => `legacy:${uid}`;
+
+async function getLinkedItems(env, uid) {
+    const items = await env.USERS.get(itemsKey(uid), "json");
+    return Array.isArray(items) ? items : [];
+}
+
+// Users served before the marker existed still have snapshots (or a cache entry).
+async function hasLegacyItem(env, uid) {
+    if (await env.USERS.get(legacyKey(uid))) return true;
+    if (await env.CACHE.get(txKey(uid))) return true;
+    return (await listSnapshotKeys(env, uid)).length > 0;
+}
+
+// Only the display fields Link hands back — nothing else from the client is kept.
+const pickAccounts = (accounts) =>
+    (Array.isArray(accounts) ? accounts : [])
+        .filter((a) => a && typeof a.id === "string")
+        .slice(0, 50)
+        .map((a) => ({
+            id: a.id,
+            name: typeof a.name === "string" ? a.name.slice(0, 100) : null,
+            mask: typeof a.mask === "string" ? a.mask.slice(0, 8) : null,
+            subtype: typeof a.subtype === "string" ? a.subtype.slice(0, 40) : null,
+        }));
+
+/** Stamps every stream of one Item's recurring data with where it came from. */
+function tagStreams(data, item) {
+    const tag = (s) => ({
+        ...s,
+        item_id: s.item_id ?? item?.itemId ?? null,
+        institution_name: s.institution_name ?? item?.institutionName ?? null,
+    });
+    return {
+        ...data,
+        inflow_streams: (data?.inflow_streams ?? []).map(tag),
+        outflow_streams: (data?.outflow_streams ?? []).map(tag),
+    };
+}
+
+/**
+ * Merges per-Item recurring data into one Plaid-shaped blob. Streams are
+ * de-duplicated on stream_id (first wins) so the legacy Item, which Pipedream
+ * may resolve to an Item that's also registered by id, isn't counted twice.
+ * Accounts come from the registry, topped up with any the upstream returned.
+ */
+function mergeRecurringData(parts, items) {
+    const seen = new Set();
+    const unique = (streams) => streams.filter((s) => {
+        if (!s?.stream_id) return true;
+        if (seen.has(s.stream_id)) return false;
+        seen.add(s.stream_id);
+        return true;
+    });
+
+    const accounts = new Map();
+    for (const item of items) {
+        for (const { id, ...a } of item.accounts ?? []) {
+            accounts.set(id, { account_id: id, ...a, item_id: item.itemId, institution_name: item.institutionName });
+        }
+    }
+    for (const { data, item } of parts) {
+        for (const a of data?.accounts ?? []) {
+            if (!a?.account_id || accounts.has(a.account_id)) continue;
+            accounts.set(a.account_id, {
+                ...a,
+                item_id: a.item_id ?? item?.itemId ?? null,
+                institution_name: a.institution_name ?? item?.institutionName ?? null,
+            });
+        }
     }
 
-    // Cache miss: the phone number provisioned alongside the user's secret
-    // rides along to Pipedream. It never appears in any URL or browser.
-    const upstream = await callPipedream(
+    return {
+        inflow_streams: unique(parts.flatMap((p) => p.data.inflow_streams ?? [])),
+        outflow_streams: unique(parts.flatMap((p) => p.data.outflow_streams ?? [])),
+        accounts: [...accounts.values()],
+    };
+}
+
+// The phone number provisioned alongside the user's secret rides along to
+// Pipedream. It never appears in any URL or browser.
+const retrieveItem = (env, uid, user, itemId) =>
+    callPipedream(
         env,
         env.RETRIEVE_TRIGGER_URL,
         env.RETRIEVE_TRIGGER_AUTH_TOKEN,
-        { userId: uid, phoneNumber: user.phoneNumber }
+        itemId ? { userId: uid, phoneNumber: user.phoneNumber, itemId } : { userId: uid, phoneNumber: user.phoneNumber }
     );
-    await cacheRecurringData(env, uid, upstream);
+
+// ── Re-authentication (Plaid Link update mode) ──────────────────────────────
+// When an Item needs the user to sign in again (ITEM_LOGIN_REQUIRED,
+// PENDING_EXPIRATION…) the retrieve trigger answers with
+//   { response_object: { tag: "relink_required",
+//       data: { link_token, error_code, item_id, institution_name } } }
+// where link_token is an update-mode token for that Item. A relink only ever
+// reaches the cache inside a short-lived partial merge (see
+// cachePartialRecurringData): the token is short-lived and the state should
+// clear as soon as the user reconnects.
+//
+// relink:<uid> in CACHE lets the refresh right after reconnecting skip the
+// cooldown exactly once: "pending" is set when a relink is seen, and flips to
+// "used" (for one cooldown) when a refresh spends it, so a still-broken Item
+// can't re-arm it in a loop.
+
+const relinkKey = (uid) => `relink:${uid}`;
+const isRelink = (upstream) => upstream?.response_object?.tag === "relink_required";
+
+// Also drops the cached blob: serving it would hide the broken connection
+// until the TTL ran out. (A partial merge is cached again right after.)
+async function markRelinkRequired(env, uid) {
+    await env.CACHE.delete(txKey(uid));
+    if ((await env.CACHE.get(relinkKey(uid))) === "used") return;
+    await env.CACHE.put(relinkKey(uid), "pending", { expirationTtl: 86400 });
+}
+
+/**
+ * Retrieves every linked Item and caches the merge. With no registry yet this
+ * is the original single call. One Item failing (or needing a new Link
+ * session) doesn't hide the others; only when none returns data is the first
+ * upstream response passed through as-is — a relink_required in preference
+ * to a link_token, since the user does have a bank to reconnect.
+ * Items that need re-authentication next to healthy ones are listed in
+ * response_object.relinkRequired, and that merge is only cached briefly.
+ * `prefetched` maps an itemId to an upstream response already in hand (a
+ * fresh exchange), which is used instead of calling Pipedream for that Item.
+ */
+async function retrieveRecurringData(env, uid, user, prefetched = {}) {
+    const items = await getLinkedItems(env, uid);
+    if (!items.length) {
+        const upstream = await retrieveItem(env, uid, user, null);
+        const tag = upstream?.response_object?.tag;
+        if ((tag === "recurring_data" || isRelink(upstream)) && !(await env.USERS.get(legacyKey(uid)))) {
+            await env.USERS.put(legacyKey(uid), "1");
+        }
+        if (isRelink(upstream)) await markRelinkRequired(env, uid);
+        return cacheRecurringData(env, uid, upstream); // caches recurring_data only
+    }
+
+    const results = await Promise.allSettled(items.map((item) =>
+        item.itemId && prefetched[item.itemId]
+            ? Promise.resolve(prefetched[item.itemId])
+            : retrieveItem(env, uid, user, item.itemId)
+    ));
+    const parts = [];
+    const relinks = [];
+    let firstUpstream = null;
+    results.forEach((r, i) => {
+        if (r.status === "rejected") {
+            console.error(`retrieve failed for item ${items[i].itemId ?? "(legacy)"}:`, r.reason);
+            return;
+        }
+        firstUpstream ??= r.value;
+        const ro = r.value?.response_object;
+        if (ro?.tag === "recurring_data" && ro.data) {
+            parts.push({ item: items[i], data: tagStreams(ro.data, items[i]) });
+        } else if (isRelink(r.value)) {
+            relinks.push({
+                upstream: r.value,
+                entry: {
+                    item_id: ro.data?.item_id ?? items[i].itemId,
+                    institution_name: ro.data?.institution_name ?? items[i].institutionName,
+                    error_code: ro.data?.error_code ?? null,
+                    link_token: ro.data?.link_token ?? null,
+                },
+            });
+        }
+    });
+
+    if (relinks.length) await markRelinkRequired(env, uid);
+    if (!parts.length) {
+        if (relinks.length) return relinks[0].upstream;
+        if (!firstUpstream) throw new Error("Retrieve failed for every linked item");
+        return firstUpstream;
+    }
+
+    const data = mergeRecurringData(parts, items);
+    if (relinks.length) return cachePartialRecurringData(env, uid, data, relinks.map((r) => r.entry));
+    return cacheRecurringData(env, uid, { response_object: { tag: "recurring_data", userId: uid, data } });
+}
+
+// The cached entry as a response envelope, or null on a miss.
+async function cachedEnvelope(env, uid) {
+    const cached = await readCachedRecurringData(env, uid);
+    if (!cached) return null;
+    return {
+        response_object: {
+            tag: "recurring_data",
+            data: cached.data,
+            fetchedAt: cached.fetchedAt,
+            source: "cache",
+            ...(cached.relinkRequired?.length ? { relinkRequired: cached.relinkRequired } : {}),
+        },
+    };
+}
+
+async function handleTransactions(uid, user, env) {
+    const cached = await cachedEnvelope(env, uid);
+    if (cached) return json(cached, 200, env);
+    const limited = await takeUpstreamCall(env, uid);
+    if (limited) return limited;
+    return json(await retrieveRecurringData(env, uid, user), 200, env);
+}
+
+/** GET /v2/subscriptions — same data and cache as /transactions, normalized. */
+async function handleSubscriptionsV2(uid, user, env) {
+    const [cached, dispositions] = await Promise.all([
+        cachedEnvelope(env, uid),
+        listDispositions(env, uid),
+    ]);
+    let upstream = cached;
+    if (!upstream) {
+        const limited = await takeUpstreamCall(env, uid);
+        if (limited) return limited;
+        upstream = await retrieveRecurringData(env, uid, user);
+    }
+    return json(await toSubscriptionsV2(upstream?.response_object, { dispositions }), 200, env);
+}
+
+/**
+ * Skips the KV cache and re-runs the retrieve trigger, e.g. right after the
+ * user cancelled something. Each user gets one refresh per
+ * REFRESH_COOLDOWN_SECONDS; the slot is claimed before calling Pipedream so
+ * failed upstream calls count too — the cooldown exists to protect Pipedream.
+ * A pending relink (see markRelinkRequired) waives the cooldown once.
+ */
+async function handleRefresh(uid, user, env) {
+    const cooldownMs = (Number(env.REFRESH_COOLDOWN_SECONDS) || 3600) * 1000;
+    const last = Number(await env.CACHE.get(refreshKey(uid)));
+    // The user just went through Link update mode: let this one through.
+    const relinkPending = (await env.CACHE.get(relinkKey(uid))) === "pending";
+    if (!relinkPending && last && Date.now() - last < cooldownMs) {
+        const retryAfter = Math.ceil((last + cooldownMs - Date.now()) / 1000);
+        return tooManyRequests(env, "Refresh cooldown active", retryAfter);
+    }
+    // Checked before spending the relink waiver, so a 429 here doesn't use it up.
+    const limited = await takeUpstreamCall(env, uid);
+    if (limited) return limited;
+    if (relinkPending) {
+        await env.CACHE.put(relinkKey(uid), "used", { expirationTtl: Math.max(60, Math.ceil(cooldownMs / 1000)) });
+    }
+    await env.CACHE.put(refreshKey(uid), String(Date.now()), {
+        // KV's minimum TTL is 60 s.
+        expirationTtl: Math.max(60, Math.ceil(cooldownMs / 1000)),
+    });
+
+    const upstream = await retrieveRecurringData(env, uid, user);
+    // The bank link is gone (Pipedream wants a new Link session): don't keep
+    // serving the stale blob for the rest of its TTL.
+    if (upstream?.response_object?.tag === "link_token") {
+        await env.CACHE.delete(txKey(uid));
+    }
     return json(upstream, 200, env);
 }
 
+/**
+ * Exchanges a public_token for a new (or re-linked) Item and folds its streams
+ * into the user's merged data. The exchange trigger is expected to return the
+ * Plaid item_id as response_object.itemId. Without it the exchange fails:
+ * the Item couldn't be retrieved or removed by id later, and nothing else
+ * (the institution id included) tells two Items at one bank apart.
+ */
 async function handleExchange(body, user, env) {
-    const { uid, publicToken } = body;
+    const { uid, publicToken, institution } = body;
     if (!publicToken) return json({ error: "Missing publicToken" }, 400, env);
+    const limited = await takeUpstreamCall(env, uid);
+    if (limited) return limited;
 
     const upstream = await callPipedream(
         env,
@@ -185,10 +764,238 @@ async function handleExchange(body, user, env) {
         env.EXCHANGE_TRIGGER_AUTH_TOKEN,
         { publicToken, userId: uid, phoneNumber: user.phoneNumber }
     );
-    await cacheRecurringData(env, uid, upstream);
+    const ro = upstream?.response_object;
+    if (ro?.tag !== "recurring_data" || !ro.data) return json(upstream, 200, env);
+    if (typeof ro.itemId !== "string" || !ro.itemId) {
+        console.error("exchange: response_object.itemId missing for", uid);
+        return json({ error: "Exchange response is missing itemId" }, 502, env);
+    }
+
+    const item = {
+        itemId: ro.itemId,
+        institutionId: typeof institution?.institution_id === "string" ? institution.institution_id : null,
+        institutionName: typeof institution?.name === "string" ? institution.name.slice(0, 100) : null,
+        accounts: pickAccounts(body.accounts),
+        linkedAt: new Date().toISOString(),
+    };
+
+    const cached = await readCachedRecurringData(env, uid);
+    // A partial merge (banks awaiting reconnection) is no base to build on.
+    const base = cached?.relinkRequired?.length ? null : cached;
+    let items = await getLinkedItems(env, uid);
+    // First Item added to the registry but the user already had a bank: that
+    // pre-registry Item has to keep being retrieved alongside. Merges
+    // de-duplicate on stream_id, so seeding it when unsure costs nothing.
+    if (!items.length && (cached || (await hasLegacyItem(env, uid)))) {
+        items = [{ itemId: null, institutionId: null, institutionName: null, accounts: [], linkedAt: null }];
+    }
+    items = [...items.filter((i) => i.itemId !== item.itemId), item];
+    await env.USERS.put(itemsKey(uid), JSON.stringify(items));
+
+    // Nothing cached to merge into — the TTL ran out, or another bank awaits
+    // reconnecting (markRelinkRequired drops tx:) — while other banks are
+    // registered: merging this Item alone would cache and snapshot a blob
+    // without them. Retrieve them all instead, reusing this exchange's data.
+    if (!base?.data && items.length > 1) {
+        return json(await retrieveRecurringData(env, uid, user, { [item.itemId]: upstream }), 200, env);
+    }
+
+    // Everything already cached from other Items stays; this Item's streams are replaced.
+    const fresh = { item, data: tagStreams(ro.data, item) };
+    const parts = [fresh];
+    if (base?.data) {
+        const others = (streams) => (streams ?? []).filter((s) => s.item_id !== item.itemId);
+        parts.unshift({
+            item: null,
+            data: {
+                inflow_streams: others(base.data.inflow_streams),
+                outflow_streams: others(base.data.outflow_streams),
+                accounts: (base.data.accounts ?? []).filter((a) => a.item_id !== item.itemId),
+            },
+        });
+    }
+    const merged = { ...upstream, response_object: { ...ro, data: mergeRecurringData(parts, items) } };
+    return json(await cacheRecurringData(env, uid, merged), 200, env);
+}
+
+/**
+ * Link token for adding another institution. The retrieve trigger only hands
+ * out a link_token when the user has no usable Item, so this has its own.
+ */
+async function handleLinkToken(uid, user, env) {
+    if (!env.LINK_TOKEN_TRIGGER_URL) return json({ error: "Adding banks is not configured" }, 501, env);
+    const limited = await takeUpstreamCall(env, uid);
+    if (limited) return limited;
+    const upstream = await callPipedream(
+        env,
+        env.LINK_TOKEN_TRIGGER_URL,
+        env.LINK_TOKEN_TRIGGER_AUTH_TOKEN,
+        { userId: uid, phoneNumber: user.phoneNumber }
+    );
     return json(upstream, 200, env);
 }
 
+// ── Link funnel events ──────────────────────────────────────────────────────
+// Plaid Link's onEvent stream (OPEN, SELECT_INSTITUTION, ERROR, EXIT, …),
+// flushed by PlaidButton when Link closes (events from before an OAuth
+// redirect are stashed and sent from /oauth-return), so drop-off points are visible.
+// Logged for `wrangler tail` and kept in CACHE as linkev:<uid>:<link_session_id>
+// (LINK_EVENTS_TTL_SECONDS, default 30 days). Only the whitelisted fields
+// below are stored — never search queries or account details.
+
+const LINK_EVENT_FIELDS = [
+    "event_name",
+    "view_name",
+    "error_code",
+    "error_type",
+    "exit_status",
+    "institution_id",
+    "institution_name",
+    "link_session_id",
+    "timestamp",
+];
+const MAX_LINK_EVENTS = 200;
+
+const pickLinkEvent = (e) =>
+    Object.fromEntries(
+        LINK_EVENT_FIELDS
+            .filter((k) => typeof e?.[k] === "string" && e[k])
+            .map((k) => [k, e[k].slice(0, 120)])
+    );
+
+async function handleLinkEvents(body, env) {
+    const { uid } = body;
+    if (!Array.isArray(body.events) || !body.events.length) {
+        return json({ error: "Missing events" }, 400, env);
+    }
+    const events = body.events.slice(0, MAX_LINK_EVENTS).map(pickLinkEvent).filter((e) => e.event_name);
+    if (!events.length) return json({ ok: true, stored: 0 }, 200, env);
+
+    const session = events.find((e) => e.link_session_id)?.link_session_id ?? `nosession-${Date.now()}`;
+    console.log(`link-events uid=${uid} session=${session}: ${events.map((e) => e.event_name).join(" > ")}`);
+
+    // A session can flush more than once (exit, then retry) — append.
+    const key = `linkev:${uid}:${session}`;
+    const existing = (await env.CACHE.get(key, "json")) ?? [];
+    await env.CACHE.put(key, JSON.stringify([...existing, ...events].slice(-MAX_LINK_EVENTS)), {
+        expirationTtl: Number(env.LINK_EVENTS_TTL_SECONDS) || 2592000,
+    });
+    return json({ ok: true, stored: events.length }, 200, env);
+}
+
+// ── Dispositions (per-stream user marks) ────────────────────────────────────
+// Stored in USERS (no TTL) rather than CACHE so they survive every recurring
+// data refresh; Plaid's stream_id is stable across transactions/recurring/get
+// calls. One key per stream, with the value mirrored into KV metadata so a
+// single list() returns all of a user's marks without N reads.
+
+const DISPOSITIONS = ["keep", "cancel", "not_mine"];
+const dispPrefix = (uid) => `disp:${uid}:`;
+
+async function listDispositions(env, uid) {
+    const out = {};
+    let cursor;
+    do {
+        const page = await env.USERS.list({ prefix: dispPrefix(uid), cursor });
+        for (const { name, metadata } of page.keys) {
+            if (metadata?.disposition) out[name.slice(dispPrefix(uid).length)] = metadata;
+        }
+        cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+    return out;
+}
+
+async function handleSetDisposition(body, env) {
+    const { uid, streamId, disposition } = body;
+    if (typeof streamId !== "string" || !streamId || streamId.length > 128) {
+        return json({ error: "Missing or invalid streamId" }, 400, env);
+    }
+    const key = `${dispPrefix(uid)}${streamId}`;
+    // null clears the mark.
+    if (disposition == null) {
+        await env.USERS.delete(key);
+        return json({ ok: true, streamId, disposition: null }, 200, env);
+    }
+    if (!DISPOSITIONS.includes(disposition)) {
+        return json({ error: `disposition must be one of ${DISPOSITIONS.join(", ")} or null` }, 400, env);
+    }
+    const metadata = { disposition, updatedAt: new Date().toISOString() };
+    await env.USERS.put(key, disposition, { metadata });
+    return json({ ok: true, streamId, ...metadata }, 200, env);
+}
+
+// ── Account deletion ────────────────────────────────────────────────────────
+// "Disconnect bank & delete data". Order matters: Plaid access is revoked
+// first (REMOVE_TRIGGER_URL → Plaid /item/remove for every Item), and only if
+// that succeeds is anything purged — otherwise a failed removal would leave a
+// live access token with no record left to retry from. user:<uid> goes last,
+// which also invalidates every outstanding proof for the user.
+//
+// removed:<uid> in USERS records that the removal went through, so a retry
+// after a failed purge goes straight to the purge instead of asking Plaid to
+// remove Items that are already gone (which it may reject).
+
+const removedKey = (uid) => `removed:${uid}`;
+
+async function deleteByPrefix(ns, prefix) {
+    let cursor;
+    do {
+        const page = await ns.list({ prefix, cursor });
+        await Promise.all(page.keys.map(({ name }) => ns.delete(name)));
+        cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+}
+
+/** Every KV key held for `uid`. Keep in step with the key helpers above. */
+async function purgeUser(env, uid) {
+    await Promise.all([
+        env.CACHE.delete(txKey(uid)),
+        env.CACHE.delete(refreshKey(uid)),
+        env.CACHE.delete(relinkKey(uid)),
+        deleteByPrefix(env.CACHE, `linkev:${uid}:`),
+        deleteByPrefix(env.CACHE, histPrefix(uid)),
+        deleteByPrefix(env.CACHE, rlPrefix("uid", uid)),
+        deleteByPrefix(env.CACHE, sessPrefix(uid)),
+        deleteByPrefix(env.CACHE, usedPrefix(uid)),
+        deleteByPrefix(env.USERS, dispPrefix(uid)),
+        env.USERS.delete(itemsKey(uid)),
+        env.USERS.delete(legacyKey(uid)),
+    ]);
+    await env.USERS.delete(removedKey(uid));
+    await env.USERS.delete(`user:${uid}`);
+}
+
+async function handleDeleteAccount(uid, user, env) {
+    if (!env.REMOVE_TRIGGER_URL) return json({ error: "Account deletion is not configured" }, 501, env);
+
+    // itemIds lists registered Items; Pipedream removes every Item it holds
+    // for the user either way (covers the pre-registry one). `step` tells the
+    // client how far it got: a failed removal may still have dropped some Items.
+    if (!(await env.USERS.get(removedKey(uid)))) {
+        const items = await getLinkedItems(env, uid);
+        try {
+            await callPipedream(
+                env,
+                env.REMOVE_TRIGGER_URL,
+                env.REMOVE_TRIGGER_AUTH_TOKEN,
+                { userId: uid, phoneNumber: user.phoneNumber, itemIds: items.map((i) => i.itemId).filter(Boolean) }
+            );
+        } catch (err) {
+            console.error(`account deletion: remove failed for ${uid}`, err);
+            return json({ error: "Disconnecting the bank failed", step: "remove" }, 502, env);
+        }
+        await env.USERS.put(removedKey(uid), new Date().toISOString());
+    }
+    try {
+        await purgeUser(env, uid);
+    } catch (err) {
+        console.error(`account deletion: purge failed for ${uid}`, err);
+        return json({ error: "Deleting stored data failed", step: "purge" }, 500, env);
+    }
+    console.log(`account deleted: ${uid}`);
+    return json({ ok: true }, 200, env);
+}
+
 // ── Entry point ─────────────────────────────────────────────────────────────
 
 export default {
@@ -200,28 +1007,108 @@ export default {
         const { pathname, searchParams } = new URL(request.url);
 
         try {
+            // Too many failed attempts from this IP: provisioning and proof
+            // authentication are turned away before any route runs. Requests
+            // carrying a session token aren't — they can't be guessing.
+            if (!hasBearer(request)) {
+                const ipWait = await rateLimitWait(env, "ip", clientIp(request));
+                if (ipWait) return tooManyRequests(env, "Too many failed attempts — please wait", ipWait);
+            }
+
             const provision = pathname.match(/^\/provision\/([^/]+)$/);
             if (provision && request.method === "POST") {
                 return await handleProvision(request, env, provision[1]);
             }
 
+            if (pathname === "/session" && request.method === "POST") {
+                const body = await request.json().catch(() => null);
+                if (!body) return json({ error: "Invalid JSON body" }, 400, env);
+                // Always a proof: a session can't mint further sessions.
+                const user = await verifyProof(env, body);
+                if (!user) return await proofRejected(request, env, body);
+                return await handleSession(body.uid, env);
+            }
+
             if (pathname === "/transactions" && request.method === "GET") {
                 const uid = searchParams.get("uid");
-                const ts = searchParams.get("ts");
-                const proof = searchParams.get("proof");
-                const user = await verifyProof(env, uid, ts, proof);
-                if (!user) return json({ error: "Invalid or expired proof" }, 401, env);
+                const fields = Object.fromEntries(searchParams);
+                const user = await authenticate(request, env, fields);
+                if (!user) return await proofRejected(request, env, fields);
                 return await handleTransactions(uid, user, env);
             }
 
+            if (pathname === "/v2/subscriptions" && request.method === "GET") {
+                const uid = searchParams.get("uid");
+                const fields = Object.fromEntries(searchParams);
+                const user = await authenticate(request, env, fields);
+                if (!user) return await proofRejected(request, env, fields);
+                return await handleSubscriptionsV2(uid, user, env);
+            }
+
+            if (pathname === "/transactions/history" && request.method === "GET") {
+                const uid = searchParams.get("uid");
+                const fields = Object.fromEntries(searchParams);
+                const user = await authenticate(request, env, fields);
+                if (!user) return await proofRejected(request, env, fields);
+                return await handleHistory(uid, searchParams.get("limit"), env);
+            }
+
+            if (pathname === "/transactions/refresh" && request.method === "POST") {
+                const body = await request.json().catch(() => null);
+                if (!body) return json({ error: "Invalid JSON body" }, 400, env);
+                const user = await authenticate(request, env, body);
+                if (!user) return await proofRejected(request, env, body);
+                return await handleRefresh(body.uid, user, env);
+            }
+
+            if (pathname === "/dispositions" && request.method === "GET") {
+                const uid = searchParams.get("uid");
+                const fields = Object.fromEntries(searchParams);
+                const user = await authenticate(request, env, fields);
+                if (!user) return await proofRejected(request, env, fields);
+                return json({ dispositions: await listDispositions(env, uid) }, 200, env);
+            }
+
+            if (pathname === "/dispositions" && request.method === "POST") {
+                const body = await request.json().catch(() => null);
+                if (!body) return json({ error: "Invalid JSON body" }, 400, env);
+                const user = await authenticate(request, env, body);
+                if (!user) return await proofRejected(request, env, body);
+                return await handleSetDisposition(body, env);
+            }
+
+            if (pathname === "/api/link-token" && request.method === "POST") {
+                const body = await request.json().catch(() => null);
+                if (!body) return json({ error: "Invalid JSON body" }, 400, env);
+                const user = await authenticate(request, env, body);
+                if (!user) return await proofRejected(request, env, body);
+                return await handleLinkToken(body.uid, user, env);
+            }
+
+            if (pathname === "/api/link-events" && request.method === "POST") {
+                const body = await request.json().catch(() => null);
+                if (!body) return json({ error: "Invalid JSON body" }, 400, env);
+                const user = await authenticate(request, env, body);
+                if (!user) return await proofRejected(request, env, body);
+                return await handleLinkEvents(body, env);
+            }
+
             if (pathname === "/api/exchange" && request.method === "POST") {
                 const body = await request.json().catch(() => null);
                 if (!body) return json({ error: "Invalid JSON body" }, 400, env);
-                const user = await verifyProof(env, body.uid, body.ts, body.proof);
-                if (!user) return json({ error: "Invalid or expired proof" }, 401, env);
+                const user = await authenticate(request, env, body);
+                if (!user) return await proofRejected(request, env, body);
                 return await handleExchange(body, user, env);
             }
 
+            if (pathname === "/account" && request.method === "DELETE") {
+                const body = await request.json().catch(() => null);
+                if (!body) return json({ error: "Invalid JSON body" }, 400, env);
+                const user = await authenticate(request, env, body);
+                if (!user) return await proofRejected(request, env, body);
+                return await handleDeleteAccount(body.uid, user, env);
+            }
+
             return json({ error: "Not found" }, 404, env);
         } catch (err) {
             console.error(err);
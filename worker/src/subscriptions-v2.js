@@ -0,0 +1,88 @@
+/**
+ * GET /v2/subscriptions — recurring data already normalized, for clients that
+ * shouldn't re-implement the frontend's formatter (Glide columns, other
+ * views). Built with the app's own modules (src/utils/), which wrangler
+ * bundles in, so the numbers always match what the React app shows.
+ *
+ * Schema (version 2 — fields are only ever added within a version):
+ *   {
+ *     version: 2,
+ *     status: "ok" | "partial" | "relink_required" | "link_required" | "unavailable",
+ *     freshness: { fetchedAt, source, ageSeconds },     // null fields when unknown
+ *     items: [item],                                    // toRecurringItems order
+ *     totals: { count, monthly, yearly, unknownCount, unknownAmount, priceIncreases },
+ *     risks: { likely_fraud, likely_scam, worth_watching, none },   // item counts
+ *     relinkRequired: [{ item_id, institution_name, error_code }]
+ *   }
+ * An item is toRecurringItems' shape without transaction_ids, plus
+ * `disposition` (keep | cancel | not_mine | null); monthly_amount,
+ * yearly_amount and every total are rounded to cents.
+ *
+ * "partial" means some banks returned data and others need reconnecting;
+ * "link_required" means no bank is linked yet. Link tokens are never included
+ * — reconnecting happens in the React app.
+ */
+import { isPriceIncrease, summarizeSpend, toRecurringItems } from "../../src/utils/recurring-data-formatter.js";
+import { RISK_ORDER, riskKeyOf } from "../../src/utils/subscription-filters.js";
+import { withDispositions } from "../../src/utils/dispositions.js";
+
+export const SCHEMA_VERSION = 2;
+
+const cents = (n) => (n == null ? null : Math.round(n * 100) / 100);
+
+// Only what identifies the bank — never the update-mode link_token.
+const relinkEntry = (entry) => ({
+    item_id: entry?.item_id ?? null,
+    institution_name: entry?.institution_name ?? null,
+    error_code: entry?.error_code ?? null,
+});
+
+function statusOf(ro) {
+    if (ro?.tag === "recurring_data") return ro.relinkRequired?.length ? "partial" : "ok";
+    if (ro?.tag === "relink_required") return "relink_required";
+    if (ro?.tag === "link_token") return "link_required";
+    return "unavailable";
+}
+
+function freshnessOf(ro, now) {
+    const fetchedMs = Date.parse(ro?.fetchedAt ?? "");
+    return {
+        fetchedAt: ro?.fetchedAt ?? null,
+        source: ro?.source ?? null,
+        ageSeconds: Number.isNaN(fetchedMs) ? null : Math.max(0, Math.round((now - fetchedMs) / 1000)),
+    };
+}
+
+/**
+ * The v2 body for one `response_object` envelope (as /transactions returns
+ * it) and the user's { [stream_id]: { disposition } } marks.
+ */
+export async function toSubscriptionsV2(ro, { dispositions = {}, now = Date.now() } = {}) {
+    const status = statusOf(ro);
+    const normalized = ro?.tag === "recurring_data" ? await toRecurringItems(ro.data) : [];
+    const items = withDispositions(normalized, dispositions).map(({ transaction_ids, ...item }) => ({
+        ...item,
+        monthly_amount: cents(item.monthly_amount),
+        yearly_amount: cents(item.yearly_amount),
+    }));
+
+    const spend = summarizeSpend(normalized);
+    const relinks = status === "relink_required" ? [ro.data] : ro?.relinkRequired ?? [];
+
+    return {
+        version: SCHEMA_VERSION,
+        status,
+        freshness: freshnessOf(ro, now),
+        items,
+        totals: {
+            count: items.length,
+            monthly: cents(spend.monthly),
+            yearly: cents(spend.yearly),
+            unknownCount: spend.unknownCount,
+            unknownAmount: cents(spend.unknownAmount),
+            priceIncreases: items.filter(isPriceIncrease).length,
+        },
+        risks: Object.fromEntries(RISK_ORDER.map((key) => [key, items.filter((i) => riskKeyOf(i) === key).length])),
+        relinkRequired: relinks.map(relinkEntry),
+    };
+}